@@ -1,12 +1,18 @@
 /**
  * @fileoverview Adds bulk message deletion functionality to the TypingMind interface.
- * Allows users to select multiple messages and delete them in one go,
- * mimicking the application's native single-message delete confirmation flow.
- * Includes a toggle button added near the "More actions" button of the main
- * chat window and a "Delete Selected" button that appears in the action button
- * area when messages are selected.
+ * Allows users to select multiple messages and delete them in one go, either
+ * through the app's data store or by mimicking the native single-message delete
+ * confirmation flow. Includes a toggle button added near the "More actions"
+ * button of the main chat window, a "Delete Selected" button and a selection bar
+ * (a bottom bar on mobile) with search/regex selection, pruning rules with
+ * optional auto-prune, an optional preview dialog, export with download
+ * confirmation, undo within a configurable window and a settings popover. Also
+ * supports deleting whole chats from the chat list, protected messages that are
+ * never deleted, drag selection, keyboard navigation and screen reader support,
+ * localization (en/de/ja), a deletion log covering messages and chats,
+ * diagnostics, and a public API with events for other extensions.
  *
- * @version 1.0.1
+ * @version 2.0.0
  */
 (function () {
   "use strict";
@@ -16,32 +22,1143 @@
   let bulkDeleteEnabled = false;
   /** @type {Set<string>} Stores the UUIDs of currently selected messages. */
   let selectedMessages = new Set();
+  /** @type {?string} ID of the chat that `selectedMessages` and `failedMessages` belong to. */
+  let selectionChatId = null;
+  /** @type {Map<string, {selected: Set<string>, failed: Map<string, string>}>} Selections left behind in other chats, keyed by chat ID. */
+  let savedSelections = new Map();
   /** @type {boolean} Tracks if the bulk delete button is in the 'Sure?' confirmation state. */
   let isConfirmingBulkDelete = false;
   /** @type {?number} Timer ID for the 'Sure?' confirmation timeout. */
   let bulkDeleteConfirmTimer = null;
   /** @type {boolean} Flag to prevent UI updates during the asynchronous deletion loop. */
   let isBulkDeleting = false;
+  /** @type {?string} UUID of the last plainly clicked message, used as the anchor for Shift+click range selection. */
+  let selectionAnchorUuid = null;
+  /** @type {Map<string, string>} Failure reasons of selected messages whose last deletion attempt failed, keyed by UUID. */
+  let failedMessages = new Map();
+  /**
+   * @type {?Object} The drag selection in progress: the pressed message (`startUuid`), the state the
+   *     dragged-over messages get (`selected`), the selection before the drag (`originalSelection`,
+   *     `originalFailures`), the last pointer position and the auto-scroll state. Null when no button is held.
+   */
+  let dragSelection = null;
+  /** @type {boolean} Set when a drag selection or long-press ends, so the click that follows it doesn't toggle a message; cleared by the next press. */
+  let suppressNextClick = false;
+  /**
+   * @type {?{block: HTMLElement, startX: number, startY: number, timer: number, fired: boolean}} The touch
+   *     on a message block that may become a long-press, until the finger lifts. Null when there is none.
+   */
+  let longPress = null;
+  /** @type {?string} UUID of the message block that holds keyboard focus (roving tabindex) in bulk delete mode. */
+  let focusedMessageUuid = null;
+  /** @type {?number} Selection count last announced to screen readers. */
+  let lastAnnouncedSelectionCount = null;
+  /** @type {?string} The selection last reported through the 'selection-changed' event (chat ID and sorted UUIDs). */
+  let lastDispatchedSelectionKey = null;
+  /** @type {?{paused: boolean, cancelled: boolean, resumeRun: ?Function}} Pause/cancel state of the running UI-simulated deletion, or null when none is running. */
+  let bulkRunControl = null;
+  /** @type {?Object} The user's settings merged over `DEFAULT_SETTINGS`; loaded on first use (see `getSettings`). */
+  let settings = null;
+  /** @type {?Map<string, Set<string>>} UUIDs of the protected messages keyed by chat ID; loaded on first use (see `getProtectedMessages`). */
+  let protectedMessages = null;
+  /** @type {?DiagnosticsReport} Result of the last diagnostics run; failed checks show a badge on the toggle button. */
+  let lastDiagnosticsReport = null;
+  /** @type {boolean} Set while diagnostics walk a message through the menu flow, so their simulated clicks don't select messages. */
+  let isRunningDiagnostics = false;
+  /** @type {Set<string>} Stores the IDs of chats selected in the sidebar chat list. */
+  let selectedChats = new Set();
+  /** @type {Map<string, string>} Failure reasons of chats whose last deletion attempt failed, keyed by chat ID. */
+  let failedChats = new Map();
+  /** @type {?string} ID of the chat last toggled with a plain click; the fixed end of Shift+click ranges in the chat list. */
+  let chatSelectionAnchorId = null;
+  /** @type {boolean} Flag indicating if the chat delete button is in the 'Sure?' confirmation state. */
+  let isConfirmingChatDelete = false;
+  /** @type {?number} Timer ID for the chat delete confirmation timeout. */
+  let chatDeleteConfirmTimer = null;
+  /** @type {boolean} Flag indicating if the chat deletion loop is currently running. */
+  let isChatDeleting = false;
 
   // --- UI Element References ---
   /** @type {?HTMLButtonElement} Reference to the toggle button for enabling/disabling bulk delete mode. */
   let toggleButton = null;
   /** @type {?HTMLButtonElement} Reference to the main bulk delete button ('Delete (X)' / 'Sure?'). */
   let bulkDeleteButton = null;
+  /** @type {?HTMLDivElement} Reference to the floating selection bar (Select all / None / Invert / By role). */
+  let selectionToolbar = null;
+  /** @type {?HTMLButtonElement} Reference to the 'Undo' button shown after a bulk deletion. */
+  let undoButton = null;
+  /** @type {?number} Interval ID for the 'Undo' button countdown. */
+  let undoCountdownTimer = null;
+  /** @type {?{text: string, durationMs: number, until: ?number}} Result of a data store deletion carried across the page reload, shown on the 'Undo' button for a moment. */
+  let carriedRunStatus = null;
+  /** @type {?HTMLDivElement} Reference to the Pause/Resume and Cancel controls shown while a deletion runs. */
+  let runControls = null;
+  /** @type {?HTMLDivElement} Reference to the bar fixed to the bottom of narrow viewports that holds the message controls. */
+  let mobileActionBar = null;
+  /** @type {?HTMLDivElement} Reference to the visually hidden aria-live region used for announcements. */
+  let liveRegion = null;
+  /** @type {?number} Timer ID for debouncing the search match count preview. */
+  let searchPreviewTimer = null;
+  /** @type {Set<string>} Chats whose automatic pruning fired and that haven't dropped back to the threshold since. */
+  let autoPruneFired = new Set();
+  /** @type {boolean} Set while automatic pruning waits for a reply to finish generating. */
+  let isAutoPruneWaiting = false;
+  /** @type {?HTMLDivElement} Reference to the floating chat list bar (age filter, chat delete button). */
+  let chatBulkBar = null;
+  /** @type {?HTMLButtonElement} Reference to the "Delete chats (X)" button. */
+  let chatDeleteButton = null;
+  /** @type {?HTMLDivElement} Reference to the open popover (settings, pruning rules); only one is open at a time. */
+  let activePopover = null;
+  /** @type {?HTMLElement} The element the open popover belongs to; clicks on it don't close the popover. */
+  let popoverAnchor = null;
+  /** @type {?HTMLDivElement} Overlay of the open modal dialog (delete preview, deletion log); only one is open at a time. */
+  let activeModal = null;
+  /** @type {?string} The language the texts are shown in; resolved on first use and cleared when the language changes (see `getActiveLocale`). */
+  let activeLocale = null;
 
   // -- MutationObserver Variables ---
   /** @type {?MutationObserver} Observer to detect DOM changes and re-apply listeners/buttons. */
   let observer = null;
   /** @type {?number} Timer ID for debouncing mutation observer callbacks. */
   let debounceTimer = null;
+  /** @type {Set<HTMLElement>} Message blocks added since the last `processPendingMutations` run. */
+  let pendingAddedBlocks = new Set();
+  /** @type {boolean} Whether message blocks were removed since the last `processPendingMutations` run. */
+  let pendingBlocksRemoved = false;
+  /** @type {boolean} Whether sidebar chat entries were added since the last `processPendingMutations` run. */
+  let pendingChatListChanged = false;
+  /** @type {Set<HTMLElement>} Message blocks whose UUID couldn't be read yet (e.g. still streaming); retried when they change. */
+  let unresolvedBlocks = new Set();
 
   // --- Constants ---
   /** @const {number} Delay in milliseconds for debouncing mutation observer calls. */
   const DEBOUNCE_DELAY = 300;
   /** @const {string} CSS selector for the toolbar where the bulk delete button is added. */
   const TOOLBAR_SELECTOR = '#elements-in-action-buttons';
-  /** @const {string} Background color applied to selected messages. */
-  const SELECTED_BACKGROUND_COLOR = 'rgba(239, 68, 68, 0.15)'; // Tailwind's red-500 at 15% opacity
+  /** @const {string} CSS selector for the chat header's "More actions" menu; the toggle button is inserted before it. */
+  const HEADER_ANCHOR_SELECTOR = '[data-element-id="chat-space-beginning-part"] [data-headlessui-state]';
+  /** @const {string} CSS selector for a message's hover menu (Tailwind classes), forced visible before its 'More Actions' button is clicked. */
+  const HOVER_MENU_SELECTOR = 'div.dark\\:bg-slate-950.absolute.items-center';
+  /** @const {string} CSS selector for a message's 'More Actions' (...) button. */
+  const MESSAGE_MENU_BUTTON_SELECTOR = '[data-element-id="more-actions-menu-button"]';
+  /** @const {string} CSS selector for an open headlessui action menu. */
+  const OPEN_MENU_SELECTOR = 'div[role="menu"][data-headlessui-state="open"]';
+  /** @const {number} Opacity of the selection color (`selectionColor` setting) used as background of selected messages. */
+  const SELECTED_BACKGROUND_OPACITY = 0.15;
+  /** @const {string} Background color applied to selected messages whose deletion failed. */
+  const FAILED_BACKGROUND_COLOR = 'rgba(245, 158, 11, 0.25)'; // Tailwind's amber-500 at 25% opacity
+  /** @const {string} Outline applied to selected messages whose deletion failed. */
+  const FAILED_OUTLINE = '2px dashed rgb(217, 119, 6)'; // Tailwind's amber-600
+  /** @const {string} localStorage key holding the snapshot of the last bulk deletion. */
+  const UNDO_STORAGE_KEY = 'TM_bulkDeleteUndoSnapshot';
+  /** @const {string} sessionStorage key carrying the result of a data store deletion across the page reload after it. */
+  const RELOAD_STATUS_STORAGE_KEY = 'TM_bulkDeleteReloadStatus';
+  /** @const {string} Name of the IndexedDB database TypingMind keeps its data in. */
+  const CHAT_DB_NAME = 'keyval-store';
+  /** @const {string} Name of the object store inside `CHAT_DB_NAME`. */
+  const CHAT_DB_STORE = 'keyval';
+  /** @const {string} Key prefix of chat records in `CHAT_DB_STORE` (followed by the chat ID). */
+  const CHAT_KEY_PREFIX = 'CHAT_';
+  /** @const {number} Maximum time in milliseconds to wait for a deleted message block to leave the DOM. */
+  const DELETE_CONFIRM_TIMEOUT = 3000;
+  /** @const {number} Confirmations slower than this (in milliseconds) make the deletion loop back off. */
+  const SLOW_CONFIRMATION_THRESHOLD = 800;
+  /** @const {number} How far (in pixels) the pointer has to move onto another message before a press becomes a drag selection. */
+  const DRAG_THRESHOLD_PX = 6;
+  /** @const {number} Distance (in pixels) from the top or bottom edge of the chat at which a drag selection starts auto-scrolling. */
+  const AUTO_SCROLL_EDGE_PX = 48;
+  /** @const {number} Fastest auto-scroll speed during a drag selection, in pixels per animation frame. */
+  const AUTO_SCROLL_MAX_SPEED = 24;
+  /** @const {number} How long (in milliseconds) a finger has to rest on a message before it is selected by long-press. */
+  const LONG_PRESS_MS = 500;
+  /** @const {number} How far (in pixels) a finger may move before a press stops counting as a long-press (it scrolls instead). */
+  const LONG_PRESS_MOVE_TOLERANCE_PX = 10;
+  /** @const {string} Media query for viewports narrow enough to get the bottom action bar instead of the toolbar controls. */
+  const NARROW_VIEWPORT_QUERY = '(max-width: 767px)';
+  /** @const {string} Keyboard shortcut that toggles bulk delete mode, in `aria-keyshortcuts` syntax. Matched against `event.code` 'KeyB'. */
+  const TOGGLE_SHORTCUT = 'Alt+Shift+B';
+  /** @const {string} localStorage key holding the UUIDs of protected messages, per chat. */
+  const PROTECTED_STORAGE_KEY = 'TM_bulkDeleteProtectedMessages';
+  /** @const {number} How long (in milliseconds) the chat has to stay unchanged before a reply counts as fully generated. */
+  const GENERATION_QUIET_MS = 2000;
+  /** @const {number} How long (in milliseconds) automatic pruning waits for a reply to finish before giving up until the next message. */
+  const GENERATION_MAX_WAIT_MS = 300000;
+  /** @const {string} localStorage key holding the pruning rules (global and per chat). */
+  const PRUNE_RULES_STORAGE_KEY = 'TM_bulkDeletePruneRules';
+  /**
+   * @const {Array<{key: string, labelKey: string, type: string}>} Fields of a pruning rule set, in display
+   * order (`labelKey` is a key of `LOCALES.en.strings`). Number rules are off when null.
+   */
+  const PRUNE_RULE_FIELDS = [
+    { key: 'keepLastMessages', labelKey: 'pruneKeepLastMessages', type: 'number' },
+    { key: 'assistantOlderThanTurns', labelKey: 'pruneAssistantOlderThanTurns', type: 'number' },
+    { key: 'toolOutputOverChars', labelKey: 'pruneToolOutputOverChars', type: 'number' },
+    { key: 'autoThreshold', labelKey: 'pruneAutoThreshold', type: 'number' },
+    { key: 'autoDelete', labelKey: 'pruneAutoDelete', type: 'checkbox' },
+  ];
+  /** @const {string} localStorage key holding the deletion log (one entry per bulk run). */
+  const AUDIT_LOG_STORAGE_KEY = 'TM_bulkDeleteAuditLog';
+  /** @const {number} Number of runs the deletion log keeps; older runs are dropped first. */
+  const AUDIT_LOG_MAX_RUNS = 200;
+  /** @const {number} Maximum length of the message snippets shown in the preview dialog and stored in the deletion log. */
+  const SNIPPET_LENGTH = 120;
+  /** @const {string} Prefix of the `CustomEvent` names dispatched on `document`. */
+  const EVENT_PREFIX = 'typingmind-bulk-delete:';
+  /** @const {string} Selector for chat entries in the sidebar chat list. */
+  const CHAT_ITEM_SELECTOR = '[data-element-id="custom-chat-item"], [data-element-id="selected-chat-item"]';
+  /** @const {string} Selector for the button that opens a chat entry's action menu. */
+  const CHAT_ITEM_MENU_BUTTON_SELECTOR = '[data-element-id="more-actions-menu-button"], button[aria-haspopup="menu"], button[id^="headlessui-menu-button"]';
+  /** @const {number} Default value of the "Select older than N days" field. */
+  const DEFAULT_CHAT_AGE_DAYS = 30;
+  /** @const {string} localStorage key holding the user's settings (only the values that differ from the defaults matter). */
+  const SETTINGS_STORAGE_KEY = 'TM_bulkDeleteSettings';
+  /** @const {Object} Default values of the settings that can be changed in the settings popover. */
+  const DEFAULT_SETTINGS = {
+    confirmWindowMs: 2000, // How long the 'Sure?' state waits for the second click
+    confirmWithDialog: false, // Confirm in a dialog listing the selected messages instead of 'Sure?'
+    useDataStore: true, // Delete through TypingMind's data store (then reload); UI simulation is used when that fails
+    minItemDelay: 100, // Shortest quiet period to wait for between UI-simulated deletions
+    maxItemDelay: 3000, // Longest quiet period to wait for between UI-simulated deletions
+    showDoneStatus: true, // Show the "Done: ..." summary on the button after a run
+    doneStatusMs: 1500, // How long the summary stays on the button
+    stayInBulkMode: false, // Keep bulk delete mode on after a fully successful run
+    undoWindowMs: 15000, // How long the 'Undo' button stays available after a bulk deletion
+    selectionColor: '#ef4444', // Tailwind's red-500
+    menuTimeoutMs: 1000, // Wait for an actions menu (and its button) to appear
+    deleteItemTimeoutMs: 1500, // Wait for the 'Delete' menu item
+    confirmTimeoutMs: 500, // Wait for the 'Sure?' confirmation
+  };
+  /**
+   * @const {Array<{key: string, labelKey: string, type: string, min: (number|undefined)}>} Fields of the settings
+   * popover, in display order. `labelKey` is a key of `LOCALES.en.strings`; `type` is the input type: 'number'
+   * (milliseconds), 'checkbox' or 'color'. `min` is the smallest accepted number: the item delays must stay above 0
+   * for the back-off to grow, and 'Sure?' and the UI simulation steps need time to be hit.
+   */
+  const SETTINGS_FIELDS = [
+    { key: 'confirmWithDialog', labelKey: 'settingConfirmWithDialog', type: 'checkbox' },
+    { key: 'confirmWindowMs', labelKey: 'settingConfirmWindowMs', type: 'number', min: 500 },
+    { key: 'useDataStore', labelKey: 'settingUseDataStore', type: 'checkbox' },
+    { key: 'minItemDelay', labelKey: 'settingMinItemDelay', type: 'number', min: 10 },
+    { key: 'maxItemDelay', labelKey: 'settingMaxItemDelay', type: 'number', min: 10 },
+    { key: 'showDoneStatus', labelKey: 'settingShowDoneStatus', type: 'checkbox' },
+    { key: 'doneStatusMs', labelKey: 'settingDoneStatusMs', type: 'number', min: 0 },
+    { key: 'stayInBulkMode', labelKey: 'settingStayInBulkMode', type: 'checkbox' },
+    { key: 'undoWindowMs', labelKey: 'settingUndoWindowMs', type: 'number', min: 0 },
+    { key: 'selectionColor', labelKey: 'settingSelectionColor', type: 'color' },
+    { key: 'menuTimeoutMs', labelKey: 'settingMenuTimeoutMs', type: 'number', min: 100 },
+    { key: 'deleteItemTimeoutMs', labelKey: 'settingDeleteItemTimeoutMs', type: 'number', min: 100 },
+    { key: 'confirmTimeoutMs', labelKey: 'settingConfirmTimeoutMs', type: 'number', min: 100 },
+  ];
+  /** @const {string} localStorage key of the user's language override (e.g. 'de'); unset means auto-detect. */
+  const LOCALE_STORAGE_KEY = 'TM_bulkDeleteLocale';
+  /**
+   * @const {Object<string, {ui: Object<string, string[]>, strings: Object<string, string>}>}
+   * Label table per language. `ui` lists the label variants of TypingMind's own buttons that
+   * the UI simulation looks for; `strings` holds the extension's own texts, with `{name}`
+   * placeholders. Anything missing falls back to English.
+   */
+  const LOCALES = {
+    en: {
+      ui: {
+        delete: ['Delete'],
+        confirm: ['Sure?', 'Confirm'],
+      },
+      strings: {
+        deleteButton: 'Delete ({count})',
+        deleteChatsButton: 'Delete chats ({count})',
+        retryFailedButton: 'Retry failed ({count})',
+        confirm: 'Sure?',
+        deleting: 'Deleting...',
+        deletingProgress: 'Deleting... ({current}/{total})',
+        paused: 'Paused ({current}/{total})',
+        pause: 'Pause',
+        resume: 'Resume',
+        cancel: 'Cancel',
+        summaryDone: 'Done: {deleted} deleted, {failed} failed, {skipped} skipped',
+        summaryCancelled: 'Cancelled: {deleted} deleted, {failed} failed, {skipped} skipped',
+        undo: 'Undo ({seconds}s)',
+        undoFailed: 'Undo failed',
+        undoWrittenOverOne: '{count} restored message was lost: TypingMind saved its copy of the chat before the page reloaded. Undo is offered again.',
+        undoWrittenOverOther: '{count} restored messages were lost: TypingMind saved its copy of the chat before the page reloaded. Undo is offered again.',
+        deleteAfter: 'Delete everything after this',
+        deleteBefore: 'Delete everything before this',
+        protect: 'Protect from bulk delete',
+        unprotect: 'Remove protection',
+        // Selection bar and search
+        selectAll: 'Select all',
+        selectNone: 'Select none',
+        invertSelection: 'Invert',
+        selectAssistantReplies: 'All assistant replies',
+        selectUserPrompts: 'All my prompts',
+        exportMarkdown: 'Export .md',
+        exportJson: 'Export .json',
+        exportTooltip: 'Export Selected Messages',
+        downloadSavedTitle: 'Was the export saved?',
+        downloadSavedText: 'The file was handed to the browser as a download. Only delete the exported messages once you have checked that it was saved.',
+        keepMessages: 'Keep messages',
+        deleteAfterExport: 'Delete after export',
+        searchPlaceholder: 'Search messages...',
+        searchLabel: 'Search messages to select',
+        regex: 'Regex',
+        invalidRegex: 'Invalid regex',
+        searchMatchesOne: '{count} match',
+        searchMatchesOther: '{count} matches',
+        selectMatches: 'Select matches',
+        deselectMatches: 'Deselect matches',
+        matchesSelectedOne: '{count} matching message selected',
+        matchesSelectedOther: '{count} matching messages selected',
+        matchesDeselectedOne: '{count} matching message deselected',
+        matchesDeselectedOther: '{count} matching messages deselected',
+        prune: 'Prune...',
+        settings: 'Settings...',
+        // Buttons and tooltips
+        deleteSelectedTooltip: 'Delete Selected Messages',
+        deleteCheckedTooltip: 'Delete Checked Messages',
+        deleteChatsTooltip: 'Delete Selected Chats',
+        deleteFailed: 'Delete failed: {reason}',
+        // Failure reasons
+        failureUnknown: 'Unknown error',
+        failureNotRendered: 'Message is not rendered on the page. Scroll to it and retry.',
+        failureChatNotListed: 'Chat is not shown in the chat list. Scroll to it and retry.',
+        failureNotConnected: 'Target element not connected.',
+        failureMenuButtonMissing: "'More Actions' button not found or not visible.",
+        failureNotFound: '{element} not found or not visible after {timeout}ms',
+        failureStillPresent: '{element} still present {timeout}ms after confirming deletion.',
+        stepActionsMenu: 'Actions menu',
+        stepDeleteItem: "'Delete' menu item",
+        stepConfirmButton: "'Sure?' button",
+        stepChatMenuButton: "Chat 'More Actions' button",
+        stepChatMenu: 'Chat actions menu',
+        stepDeleteConfirmation: 'Delete confirmation',
+        stepMessage: 'Message',
+        stepChat: 'Chat',
+        undoLabel: 'Undo',
+        undoTooltipOne: 'Restore {count} Deleted Message',
+        undoTooltipOther: 'Restore {count} Deleted Messages',
+        toggleLabel: 'Bulk delete mode',
+        toggleTitle: 'Toggle Bulk Message Delete',
+        toggleTooltip: 'Toggle Bulk Delete ({shortcut}) · Right-click for settings',
+        diagnosticsWarningOne: 'Diagnostics: {count} check failed',
+        diagnosticsWarningOther: 'Diagnostics: {count} checks failed',
+        protectedBadge: 'Protected',
+        messageList: 'Messages',
+        close: 'Close',
+        // Screen reader announcements
+        modeOn: 'Bulk delete mode on. Use the arrow keys to move between messages, Space to select, and Delete to delete the selection.',
+        modeOff: 'Bulk delete mode off.',
+        selectedCountOne: '{count} message selected',
+        selectedCountOther: '{count} messages selected',
+        confirmSelectedOne: 'Delete {count} selected message? Press Delete again to confirm.',
+        confirmSelectedOther: 'Delete {count} selected messages? Press Delete again to confirm.',
+        deletionCancelled: 'Deletion cancelled.',
+        deletionError: 'Deletion stopped because of an error. The details are in the browser console.',
+        pauseRequested: 'Deletion will pause after the current message.',
+        deletionResumed: 'Deletion resumed.',
+        cancelRequested: 'Deletion will stop after the current message.',
+        deletingMessage: 'Deleting message {current} of {total}',
+        deletingChat: 'Deleting chat {current} of {total}',
+        doneReloading: 'Done: {count} deleted. Reloading the chat.',
+        deletionWrittenBackOne: '{count} deleted message came back: TypingMind saved its copy of the chat before the page reloaded. Delete it again.',
+        deletionWrittenBackOther: '{count} deleted messages came back: TypingMind saved its copy of the chat before the page reloaded. Delete them again.',
+        allProtected: 'Nothing deleted: every selected message is protected.',
+        allChatsProtected: 'Nothing deleted: every selected chat has protected messages. Remove their protection to delete the chat.',
+        chatsProtectedSkippedOne: '{count} chat has protected messages and was skipped.',
+        chatsProtectedSkippedOther: '{count} chats have protected messages and were skipped.',
+        messageIsProtected: 'This message is protected. Remove the protection from its menu to select it.',
+        protectionAdded: 'Message protected from bulk delete.',
+        protectionRemoved: 'Message protection removed.',
+        noMessagesAfter: 'There are no unprotected messages after this one.',
+        noMessagesBefore: 'There are no unprotected messages before this one.',
+        confirmAfterOne: 'Delete {count} message after this one? Activate the delete button again to confirm.',
+        confirmAfterOther: 'Delete {count} messages after this one? Activate the delete button again to confirm.',
+        confirmBeforeOne: 'Delete {count} message before this one? Activate the delete button again to confirm.',
+        confirmBeforeOther: 'Delete {count} messages before this one? Activate the delete button again to confirm.',
+        // Preview dialog
+        previewTitleOne: 'Delete {checked} of {count} selected message?',
+        previewTitleOther: 'Delete {checked} of {count} selected messages?',
+        previewPosition: '#{position} of {total} · {role}',
+        previewNotFound: 'Not found in this chat',
+        previewNothingChecked: 'Nothing checked',
+        previewSize: '~{characters} characters (~{tokens} tokens)',
+        roleUser: 'user',
+        roleAssistant: 'assistant',
+        roleSystem: 'system',
+        roleTool: 'tool',
+        roleUnknown: 'unknown',
+        // Pruning
+        pruneTitle: 'Pruning rules',
+        pruneScope: 'Rules for',
+        pruneScopeChat: 'This chat',
+        pruneScopeGlobal: 'All chats',
+        pruneRuleOff: 'off',
+        pruneKeepLastMessages: 'Keep only the last N messages',
+        pruneAssistantOlderThanTurns: 'Remove assistant replies older than N turns',
+        pruneToolOutputOverChars: 'Remove tool outputs over N characters',
+        pruneAutoThreshold: 'Apply automatically above N messages',
+        pruneAutoDelete: 'Delete automatically (no preview)',
+        save: 'Save',
+        clear: 'Clear',
+        preview: 'Preview',
+        saved: 'Saved.',
+        cleared: 'Cleared.',
+        pruneNothingToRemove: 'Nothing would be removed.',
+        prunePreviewSummary: '{count} selected: {reasons}. Use Delete to remove them.',
+        nothingToPrune: 'Nothing to prune.',
+        pruneSelectedOne: '{count} message selected for pruning',
+        pruneSelectedOther: '{count} messages selected for pruning',
+        pruneReasonKeepLast: 'Not among the last {count} messages',
+        pruneReasonAssistant: 'Assistant reply older than {count} turns',
+        pruneReasonToolOutput: 'Tool output over {count} characters',
+        // Chat list
+        chatBar: 'Chat list bulk actions',
+        selectOlderThan: 'Select older than',
+        ageInDays: 'Age in days',
+        days: 'days',
+        selectChat: 'Select chat: {title}',
+        chatsOlderSelectedOne: '{count} chat older than {days} days selected',
+        chatsOlderSelectedOther: '{count} chats older than {days} days selected',
+        // Settings
+        settingsTitle: 'Bulk delete settings',
+        settingConfirmWithDialog: 'Confirm in a preview dialog',
+        settingConfirmWindowMs: "'Sure?' window (ms)",
+        settingUseDataStore: 'Delete through the data store (reloads the page)',
+        settingMinItemDelay: 'Min. delay between items (ms)',
+        settingMaxItemDelay: 'Max. delay between items (ms)',
+        settingShowDoneStatus: 'Show "Done" status',
+        settingDoneStatusMs: '"Done" status duration (ms)',
+        settingStayInBulkMode: 'Stay in bulk mode after a run',
+        settingUndoWindowMs: 'Undo window (ms)',
+        settingSelectionColor: 'Selection color',
+        settingMenuTimeoutMs: 'Menu timeout (ms)',
+        settingDeleteItemTimeoutMs: "'Delete' item timeout (ms)",
+        settingConfirmTimeoutMs: "'Sure?' timeout (ms)",
+        language: 'Language',
+        languageAuto: 'Auto',
+        openAuditLog: 'Deletion log...',
+        runDiagnostics: 'Run diagnostics',
+        resetDefaults: 'Reset to defaults',
+        // Deletion log
+        auditLogTitle: 'Deletion log',
+        auditFilterPlaceholder: 'Filter by chat, UUID or text',
+        auditFilterLabel: 'Filter the deletion log',
+        auditResultLabel: 'Result',
+        auditAllResults: 'All results',
+        resultDeleted: 'Deleted',
+        resultFailed: 'Failed',
+        resultSkipped: 'Skipped',
+        unknownChat: 'Unknown chat',
+        auditWholeChat: 'whole chat',
+        auditLogEmpty: 'Nothing has been deleted yet.',
+        auditLogCountOne: '{shown} of {count} logged entry',
+        auditLogCountOther: '{shown} of {count} logged entries',
+        exportCsv: 'Export CSV',
+        exportJsonLog: 'Export JSON',
+        auditExportFailed: 'Export failed: {error}',
+        clearLog: 'Clear log',
+        // Diagnostics
+        diagnosticsTitle: 'Diagnostics',
+        diagnosticsRunning: 'Running checks...',
+        diagnosticsBusy: "Diagnostics can't run while a deletion or another menu flow check is in progress.",
+        diagnosticsReport: 'Diagnostics report',
+        copyReport: 'Copy report',
+        copied: 'Copied',
+        diagnosticsFailedOne: '{count} check failed. Copy the report into a bug report.',
+        diagnosticsFailedOther: '{count} checks failed. Copy the report into a bug report.',
+        diagnosticsPassed: 'All checks passed.',
+        diagHeaderAnchor: 'Header anchor ({selector})',
+        diagToggleShown: 'Found; toggle button shown',
+        diagToggleMissing: 'Found; toggle button missing',
+        diagHeaderAnchorMissing: "Not found; the toggle button can't be placed",
+        diagToolbar: 'Action toolbar ({selector})',
+        diagFound: 'Found',
+        diagToolbarMissing: "Not found; the delete button and selection bar can't be placed",
+        diagMessageBlocks: 'Message blocks ({selector})',
+        diagNoMessages: 'No messages on the page; open a chat with messages to run the message checks',
+        diagMessagesFound: '{count} found',
+        diagMessageData: 'Message data (__reactFiber)',
+        diagUuidsFound: 'UUID found for {found} of {total} messages',
+        diagNoFiber: 'No __reactFiber key on the message blocks',
+        diagHoverMenu: 'Hover menu ({selector})',
+        diagFoundInMessages: 'Found in {found} of {total} messages',
+        diagHoverMenuMissing: 'Found in {found} of {total} messages; the menu button has to be visible without hover',
+        diagMenuButton: "'More Actions' button ({selector})",
+        diagDataStore: 'Data store ({store})',
+        diagChatRecord: 'Chat record with {count} messages',
+        diagNoChatRecord: 'No readable chat record; deletion uses UI simulation',
+        diagNoChatOpen: 'No chat open; deletion uses UI simulation',
+        diagDataStoreError: '{error} Deletion uses UI simulation.',
+        diagChatEntries: 'Sidebar chat entries ({selector})',
+        diagNoChatEntries: 'None on the page (sidebar closed?)',
+        diagChatIdsFound: 'Chat ID found for {found} of {total} entries',
+        diagMenuFlow: "Menu flow ({selector}: 'Delete', then 'Sure?' found but not clicked)",
+        diagNotRun: 'Not run',
+        diagNoSampleMessage: 'No message to try it on',
+        diagMenuFlowPassed: 'Walked through with message {uuid}; nothing was deleted',
+        diagReportTitle: 'TypingMind Bulk Delete diagnostics',
+        diagReportTime: 'Time: {value}',
+        diagReportPage: 'Page: {value}',
+        diagReportBrowser: 'Browser: {value}',
+        diagReportLanguage: 'Language: {value}',
+        diagReportResult: 'Result: {passed} passed, {failed} failed, {warnings} warnings, {skipped} skipped',
+      },
+    },
+    de: {
+      ui: {
+        delete: ['Löschen', 'Entfernen'],
+        confirm: ['Sicher?', 'Bist du sicher?', 'Sind Sie sicher?', 'Bestätigen'],
+      },
+      strings: {
+        deleteButton: 'Löschen ({count})',
+        deleteChatsButton: 'Chats löschen ({count})',
+        retryFailedButton: 'Fehlgeschlagene wiederholen ({count})',
+        confirm: 'Sicher?',
+        deleting: 'Wird gelöscht...',
+        deletingProgress: 'Wird gelöscht... ({current}/{total})',
+        paused: 'Pausiert ({current}/{total})',
+        pause: 'Pause',
+        resume: 'Fortsetzen',
+        cancel: 'Abbrechen',
+        summaryDone: 'Fertig: {deleted} gelöscht, {failed} fehlgeschlagen, {skipped} übersprungen',
+        summaryCancelled: 'Abgebrochen: {deleted} gelöscht, {failed} fehlgeschlagen, {skipped} übersprungen',
+        undo: 'Rückgängig ({seconds}s)',
+        undoFailed: 'Rückgängig fehlgeschlagen',
+        undoWrittenOverOne: '{count} wiederhergestellte Nachricht ging verloren: TypingMind hat seine Kopie des Chats vor dem Neuladen gespeichert. Rückgängig ist wieder verfügbar.',
+        undoWrittenOverOther: '{count} wiederhergestellte Nachrichten gingen verloren: TypingMind hat seine Kopie des Chats vor dem Neuladen gespeichert. Rückgängig ist wieder verfügbar.',
+        deleteAfter: 'Alles danach löschen',
+        deleteBefore: 'Alles davor löschen',
+        protect: 'Vor Massenlöschung schützen',
+        unprotect: 'Schutz aufheben',
+        // Selection bar and search
+        selectAll: 'Alle auswählen',
+        selectNone: 'Keine auswählen',
+        invertSelection: 'Umkehren',
+        selectAssistantReplies: 'Alle Antworten des Assistenten',
+        selectUserPrompts: 'Alle meine Prompts',
+        exportMarkdown: 'Als .md exportieren',
+        exportJson: 'Als .json exportieren',
+        exportTooltip: 'Ausgewählte Nachrichten exportieren',
+        downloadSavedTitle: 'Wurde der Export gespeichert?',
+        downloadSavedText: 'Die Datei wurde dem Browser als Download übergeben. Lösche die exportierten Nachrichten erst, wenn du geprüft hast, dass sie gespeichert wurde.',
+        keepMessages: 'Nachrichten behalten',
+        deleteAfterExport: 'Nach dem Export löschen',
+        searchPlaceholder: 'Nachrichten durchsuchen...',
+        searchLabel: 'Nachrichten zum Auswählen durchsuchen',
+        regex: 'Regex',
+        invalidRegex: 'Ungültiger Regex',
+        searchMatchesOne: '{count} Treffer',
+        searchMatchesOther: '{count} Treffer',
+        selectMatches: 'Treffer auswählen',
+        deselectMatches: 'Treffer abwählen',
+        matchesSelectedOne: '{count} passende Nachricht ausgewählt',
+        matchesSelectedOther: '{count} passende Nachrichten ausgewählt',
+        matchesDeselectedOne: '{count} passende Nachricht abgewählt',
+        matchesDeselectedOther: '{count} passende Nachrichten abgewählt',
+        prune: 'Aufräumen...',
+        settings: 'Einstellungen...',
+        // Buttons and tooltips
+        deleteSelectedTooltip: 'Ausgewählte Nachrichten löschen',
+        deleteCheckedTooltip: 'Angehakte Nachrichten löschen',
+        deleteChatsTooltip: 'Ausgewählte Chats löschen',
+        deleteFailed: 'Löschen fehlgeschlagen: {reason}',
+        // Failure reasons
+        failureUnknown: 'Unbekannter Fehler',
+        failureNotRendered: 'Die Nachricht wird nicht auf der Seite angezeigt. Scrolle zu ihr und versuche es erneut.',
+        failureChatNotListed: 'Der Chat wird nicht in der Chatliste angezeigt. Scrolle zu ihm und versuche es erneut.',
+        failureNotConnected: 'Das Element ist nicht mehr auf der Seite.',
+        failureMenuButtonMissing: "Schaltfläche „More Actions“ nicht gefunden oder nicht sichtbar.",
+        failureNotFound: '{element} nach {timeout} ms nicht gefunden oder nicht sichtbar',
+        failureStillPresent: '{element} ist {timeout} ms nach dem Bestätigen noch vorhanden.',
+        stepActionsMenu: 'Aktionsmenü',
+        stepDeleteItem: 'Menüpunkt „Delete“',
+        stepConfirmButton: 'Schaltfläche „Sure?“',
+        stepChatMenuButton: 'Schaltfläche „More Actions“ des Chats',
+        stepChatMenu: 'Aktionsmenü des Chats',
+        stepDeleteConfirmation: 'Löschbestätigung',
+        stepMessage: 'Nachricht',
+        stepChat: 'Chat',
+        undoLabel: 'Rückgängig',
+        undoTooltipOne: '{count} gelöschte Nachricht wiederherstellen',
+        undoTooltipOther: '{count} gelöschte Nachrichten wiederherstellen',
+        toggleLabel: 'Massenlöschmodus',
+        toggleTitle: 'Massenlöschung von Nachrichten ein-/ausschalten',
+        toggleTooltip: 'Massenlöschung ein/aus ({shortcut}) · Rechtsklick für Einstellungen',
+        diagnosticsWarningOne: 'Diagnose: {count} Prüfung fehlgeschlagen',
+        diagnosticsWarningOther: 'Diagnose: {count} Prüfungen fehlgeschlagen',
+        protectedBadge: 'Geschützt',
+        messageList: 'Nachrichten',
+        close: 'Schließen',
+        // Screen reader announcements
+        modeOn: 'Massenlöschmodus an. Mit den Pfeiltasten zwischen Nachrichten wechseln, mit der Leertaste auswählen und mit Entf die Auswahl löschen.',
+        modeOff: 'Massenlöschmodus aus.',
+        selectedCountOne: '{count} Nachricht ausgewählt',
+        selectedCountOther: '{count} Nachrichten ausgewählt',
+        confirmSelectedOne: '{count} ausgewählte Nachricht löschen? Zum Bestätigen erneut Entf drücken.',
+        confirmSelectedOther: '{count} ausgewählte Nachrichten löschen? Zum Bestätigen erneut Entf drücken.',
+        deletionCancelled: 'Löschen abgebrochen.',
+        deletionError: 'Das Löschen wurde wegen eines Fehlers abgebrochen. Die Details stehen in der Browserkonsole.',
+        pauseRequested: 'Das Löschen pausiert nach der aktuellen Nachricht.',
+        deletionResumed: 'Löschen fortgesetzt.',
+        cancelRequested: 'Das Löschen endet nach der aktuellen Nachricht.',
+        deletingMessage: 'Lösche Nachricht {current} von {total}',
+        deletingChat: 'Lösche Chat {current} von {total}',
+        doneReloading: 'Fertig: {count} gelöscht. Der Chat wird neu geladen.',
+        deletionWrittenBackOne: '{count} gelöschte Nachricht ist wieder da: TypingMind hat seine Kopie des Chats vor dem Neuladen gespeichert. Lösche sie erneut.',
+        deletionWrittenBackOther: '{count} gelöschte Nachrichten sind wieder da: TypingMind hat seine Kopie des Chats vor dem Neuladen gespeichert. Lösche sie erneut.',
+        allProtected: 'Nichts gelöscht: Alle ausgewählten Nachrichten sind geschützt.',
+        allChatsProtected: 'Nichts gelöscht: Alle ausgewählten Chats enthalten geschützte Nachrichten. Hebe ihren Schutz auf, um den Chat zu löschen.',
+        chatsProtectedSkippedOne: '{count} Chat enthält geschützte Nachrichten und wurde übersprungen.',
+        chatsProtectedSkippedOther: '{count} Chats enthalten geschützte Nachrichten und wurden übersprungen.',
+        messageIsProtected: 'Diese Nachricht ist geschützt. Hebe den Schutz über ihr Menü auf, um sie auszuwählen.',
+        protectionAdded: 'Nachricht vor Massenlöschung geschützt.',
+        protectionRemoved: 'Schutz der Nachricht aufgehoben.',
+        noMessagesAfter: 'Nach dieser Nachricht gibt es keine ungeschützten Nachrichten.',
+        noMessagesBefore: 'Vor dieser Nachricht gibt es keine ungeschützten Nachrichten.',
+        confirmAfterOne: '{count} Nachricht nach dieser löschen? Zum Bestätigen die Löschen-Schaltfläche erneut betätigen.',
+        confirmAfterOther: '{count} Nachrichten nach dieser löschen? Zum Bestätigen die Löschen-Schaltfläche erneut betätigen.',
+        confirmBeforeOne: '{count} Nachricht vor dieser löschen? Zum Bestätigen die Löschen-Schaltfläche erneut betätigen.',
+        confirmBeforeOther: '{count} Nachrichten vor dieser löschen? Zum Bestätigen die Löschen-Schaltfläche erneut betätigen.',
+        // Preview dialog
+        previewTitleOne: '{checked} von {count} ausgewählten Nachricht löschen?',
+        previewTitleOther: '{checked} von {count} ausgewählten Nachrichten löschen?',
+        previewPosition: '#{position} von {total} · {role}',
+        previewNotFound: 'Nicht in diesem Chat gefunden',
+        previewNothingChecked: 'Nichts angehakt',
+        previewSize: '~{characters} Zeichen (~{tokens} Tokens)',
+        roleUser: 'Nutzer',
+        roleAssistant: 'Assistent',
+        roleSystem: 'System',
+        roleTool: 'Tool',
+        roleUnknown: 'unbekannt',
+        // Pruning
+        pruneTitle: 'Aufräumregeln',
+        pruneScope: 'Regeln für',
+        pruneScopeChat: 'Diesen Chat',
+        pruneScopeGlobal: 'Alle Chats',
+        pruneRuleOff: 'aus',
+        pruneKeepLastMessages: 'Nur die letzten N Nachrichten behalten',
+        pruneAssistantOlderThanTurns: 'Antworten des Assistenten älter als N Runden entfernen',
+        pruneToolOutputOverChars: 'Tool-Ausgaben über N Zeichen entfernen',
+        pruneAutoThreshold: 'Automatisch ab N Nachrichten anwenden',
+        pruneAutoDelete: 'Automatisch löschen (ohne Vorschau)',
+        save: 'Speichern',
+        clear: 'Zurücksetzen',
+        preview: 'Vorschau',
+        saved: 'Gespeichert.',
+        cleared: 'Zurückgesetzt.',
+        pruneNothingToRemove: 'Es würde nichts entfernt.',
+        prunePreviewSummary: '{count} ausgewählt: {reasons}. Mit „Löschen“ entfernen.',
+        nothingToPrune: 'Nichts aufzuräumen.',
+        pruneSelectedOne: '{count} Nachricht zum Aufräumen ausgewählt',
+        pruneSelectedOther: '{count} Nachrichten zum Aufräumen ausgewählt',
+        pruneReasonKeepLast: 'Nicht unter den letzten {count} Nachrichten',
+        pruneReasonAssistant: 'Antwort des Assistenten älter als {count} Runden',
+        pruneReasonToolOutput: 'Tool-Ausgabe über {count} Zeichen',
+        // Chat list
+        chatBar: 'Massenaktionen der Chatliste',
+        selectOlderThan: 'Auswählen älter als',
+        ageInDays: 'Alter in Tagen',
+        days: 'Tage',
+        selectChat: 'Chat auswählen: {title}',
+        chatsOlderSelectedOne: '{count} Chat älter als {days} Tage ausgewählt',
+        chatsOlderSelectedOther: '{count} Chats älter als {days} Tage ausgewählt',
+        // Settings
+        settingsTitle: 'Einstellungen der Massenlöschung',
+        settingConfirmWithDialog: 'In einem Vorschaudialog bestätigen',
+        settingConfirmWindowMs: '„Sicher?“-Zeitfenster (ms)',
+        settingUseDataStore: 'Über den Datenspeicher löschen (lädt die Seite neu)',
+        settingMinItemDelay: 'Min. Pause zwischen Einträgen (ms)',
+        settingMaxItemDelay: 'Max. Pause zwischen Einträgen (ms)',
+        settingShowDoneStatus: '„Fertig“-Status anzeigen',
+        settingDoneStatusMs: 'Dauer des „Fertig“-Status (ms)',
+        settingStayInBulkMode: 'Nach einem Durchlauf im Massenlöschmodus bleiben',
+        settingUndoWindowMs: 'Zeitfenster für Rückgängig (ms)',
+        settingSelectionColor: 'Auswahlfarbe',
+        settingMenuTimeoutMs: 'Zeitlimit Menü (ms)',
+        settingDeleteItemTimeoutMs: 'Zeitlimit „Löschen“-Eintrag (ms)',
+        settingConfirmTimeoutMs: 'Zeitlimit „Sicher?“ (ms)',
+        language: 'Sprache',
+        languageAuto: 'Automatisch',
+        openAuditLog: 'Löschprotokoll...',
+        runDiagnostics: 'Diagnose ausführen',
+        resetDefaults: 'Auf Standard zurücksetzen',
+        // Deletion log
+        auditLogTitle: 'Löschprotokoll',
+        auditFilterPlaceholder: 'Nach Chat, UUID oder Text filtern',
+        auditFilterLabel: 'Löschprotokoll filtern',
+        auditResultLabel: 'Ergebnis',
+        auditAllResults: 'Alle Ergebnisse',
+        resultDeleted: 'Gelöscht',
+        resultFailed: 'Fehlgeschlagen',
+        resultSkipped: 'Übersprungen',
+        unknownChat: 'Unbekannter Chat',
+        auditWholeChat: 'ganzer Chat',
+        auditLogEmpty: 'Es wurde noch nichts gelöscht.',
+        auditLogCountOne: '{shown} von {count} protokollierten Eintrag',
+        auditLogCountOther: '{shown} von {count} protokollierten Einträgen',
+        exportCsv: 'Als CSV exportieren',
+        exportJsonLog: 'Als JSON exportieren',
+        auditExportFailed: 'Export fehlgeschlagen: {error}',
+        clearLog: 'Protokoll leeren',
+        // Diagnostics
+        diagnosticsTitle: 'Diagnose',
+        diagnosticsRunning: 'Prüfungen laufen...',
+        diagnosticsBusy: 'Die Diagnose kann nicht laufen, während gelöscht oder ein anderer Menüablauf geprüft wird.',
+        diagnosticsReport: 'Diagnosebericht',
+        copyReport: 'Bericht kopieren',
+        copied: 'Kopiert',
+        diagnosticsFailedOne: '{count} Prüfung fehlgeschlagen. Kopiere den Bericht in einen Fehlerbericht.',
+        diagnosticsFailedOther: '{count} Prüfungen fehlgeschlagen. Kopiere den Bericht in einen Fehlerbericht.',
+        diagnosticsPassed: 'Alle Prüfungen bestanden.',
+        diagHeaderAnchor: 'Ankerpunkt in der Kopfzeile ({selector})',
+        diagToggleShown: 'Gefunden; Umschalter angezeigt',
+        diagToggleMissing: 'Gefunden; Umschalter fehlt',
+        diagHeaderAnchorMissing: 'Nicht gefunden; der Umschalter kann nicht platziert werden',
+        diagToolbar: 'Aktionsleiste ({selector})',
+        diagFound: 'Gefunden',
+        diagToolbarMissing: 'Nicht gefunden; Löschen-Schaltfläche und Auswahlleiste können nicht platziert werden',
+        diagMessageBlocks: 'Nachrichtenblöcke ({selector})',
+        diagNoMessages: 'Keine Nachrichten auf der Seite; öffne einen Chat mit Nachrichten, um die Nachrichtenprüfungen auszuführen',
+        diagMessagesFound: '{count} gefunden',
+        diagMessageData: 'Nachrichtendaten (__reactFiber)',
+        diagUuidsFound: 'UUID für {found} von {total} Nachrichten gefunden',
+        diagNoFiber: 'Kein __reactFiber-Schlüssel an den Nachrichtenblöcken',
+        diagHoverMenu: 'Hover-Menü ({selector})',
+        diagFoundInMessages: 'In {found} von {total} Nachrichten gefunden',
+        diagHoverMenuMissing: 'In {found} von {total} Nachrichten gefunden; die Menüschaltfläche muss ohne Hover sichtbar sein',
+        diagMenuButton: 'Schaltfläche „More Actions“ ({selector})',
+        diagDataStore: 'Datenspeicher ({store})',
+        diagChatRecord: 'Chat-Datensatz mit {count} Nachrichten',
+        diagNoChatRecord: 'Kein lesbarer Chat-Datensatz; gelöscht wird per UI-Simulation',
+        diagNoChatOpen: 'Kein Chat geöffnet; gelöscht wird per UI-Simulation',
+        diagDataStoreError: '{error} Gelöscht wird per UI-Simulation.',
+        diagChatEntries: 'Chat-Einträge der Seitenleiste ({selector})',
+        diagNoChatEntries: 'Keine auf der Seite (Seitenleiste geschlossen?)',
+        diagChatIdsFound: 'Chat-ID für {found} von {total} Einträgen gefunden',
+        diagMenuFlow: 'Menüablauf ({selector}: „Delete“, dann „Sure?“ gefunden, aber nicht angeklickt)',
+        diagNotRun: 'Nicht ausgeführt',
+        diagNoSampleMessage: 'Keine Nachricht zum Ausprobieren',
+        diagMenuFlowPassed: 'Mit Nachricht {uuid} durchlaufen; nichts wurde gelöscht',
+        diagReportTitle: 'Diagnose von TypingMind Bulk Delete',
+        diagReportTime: 'Zeit: {value}',
+        diagReportPage: 'Seite: {value}',
+        diagReportBrowser: 'Browser: {value}',
+        diagReportLanguage: 'Sprache: {value}',
+        diagReportResult: 'Ergebnis: {passed} bestanden, {failed} fehlgeschlagen, {warnings} Warnungen, {skipped} übersprungen',
+      },
+    },
+    ja: {
+      ui: {
+        delete: ['削除', '削除する'],
+        confirm: ['本当に？', '本当によろしいですか？', 'よろしいですか？', '確認'],
+      },
+      strings: {
+        deleteButton: '削除 ({count})',
+        deleteChatsButton: 'チャットを削除 ({count})',
+        retryFailedButton: '失敗分を再試行 ({count})',
+        confirm: '本当に？',
+        deleting: '削除中...',
+        deletingProgress: '削除中... ({current}/{total})',
+        paused: '一時停止中 ({current}/{total})',
+        pause: '一時停止',
+        resume: '再開',
+        cancel: 'キャンセル',
+        summaryDone: '完了: 削除 {deleted}、失敗 {failed}、スキップ {skipped}',
+        summaryCancelled: 'キャンセル: 削除 {deleted}、失敗 {failed}、スキップ {skipped}',
+        undo: '元に戻す ({seconds}秒)',
+        undoFailed: '元に戻せませんでした',
+        undoWrittenOverOne: '復元したメッセージ {count} 件が失われました。再読み込みの前に TypingMind がチャットのコピーを保存しました。もう一度元に戻せます。',
+        undoWrittenOverOther: '復元したメッセージ {count} 件が失われました。再読み込みの前に TypingMind がチャットのコピーを保存しました。もう一度元に戻せます。',
+        deleteAfter: 'これ以降をすべて削除',
+        deleteBefore: 'これより前をすべて削除',
+        protect: '一括削除から保護',
+        unprotect: '保護を解除',
+        // Selection bar and search
+        selectAll: 'すべて選択',
+        selectNone: '選択を解除',
+        invertSelection: '選択を反転',
+        selectAssistantReplies: 'アシスタントの返信すべて',
+        selectUserPrompts: '自分のプロンプトすべて',
+        exportMarkdown: '.md でエクスポート',
+        exportJson: '.json でエクスポート',
+        exportTooltip: '選択したメッセージをエクスポート',
+        downloadSavedTitle: 'エクスポートは保存されましたか？',
+        downloadSavedText: 'ファイルはダウンロードとしてブラウザに渡されました。保存されたことを確認してから、エクスポートしたメッセージを削除してください。',
+        keepMessages: 'メッセージを残す',
+        deleteAfterExport: 'エクスポート後に削除',
+        searchPlaceholder: 'メッセージを検索...',
+        searchLabel: '選択するメッセージを検索',
+        regex: '正規表現',
+        invalidRegex: '無効な正規表現',
+        searchMatchesOne: '{count} 件一致',
+        searchMatchesOther: '{count} 件一致',
+        selectMatches: '一致を選択',
+        deselectMatches: '一致の選択を解除',
+        matchesSelectedOne: '一致するメッセージ {count} 件を選択しました',
+        matchesSelectedOther: '一致するメッセージ {count} 件を選択しました',
+        matchesDeselectedOne: '一致するメッセージ {count} 件の選択を解除しました',
+        matchesDeselectedOther: '一致するメッセージ {count} 件の選択を解除しました',
+        prune: '整理...',
+        settings: '設定...',
+        // Buttons and tooltips
+        deleteSelectedTooltip: '選択したメッセージを削除',
+        deleteCheckedTooltip: 'チェックしたメッセージを削除',
+        deleteChatsTooltip: '選択したチャットを削除',
+        deleteFailed: '削除に失敗しました: {reason}',
+        // Failure reasons
+        failureUnknown: '不明なエラー',
+        failureNotRendered: 'メッセージがページに表示されていません。メッセージまでスクロールして再試行してください。',
+        failureChatNotListed: 'チャットがチャット一覧に表示されていません。チャットまでスクロールして再試行してください。',
+        failureNotConnected: '対象の要素がページにありません。',
+        failureMenuButtonMissing: '「More Actions」ボタンが見つからないか、表示されていません。',
+        failureNotFound: '{timeout}ms 経っても{element}が見つからないか、表示されていません',
+        failureStillPresent: '削除の確定から {timeout}ms 経っても{element}が残っています。',
+        stepActionsMenu: 'アクションメニュー',
+        stepDeleteItem: '「Delete」メニュー項目',
+        stepConfirmButton: '「Sure?」ボタン',
+        stepChatMenuButton: 'チャットの「More Actions」ボタン',
+        stepChatMenu: 'チャットのアクションメニュー',
+        stepDeleteConfirmation: '削除の確認',
+        stepMessage: 'メッセージ',
+        stepChat: 'チャット',
+        undoLabel: '元に戻す',
+        undoTooltipOne: '削除したメッセージ {count} 件を復元',
+        undoTooltipOther: '削除したメッセージ {count} 件を復元',
+        toggleLabel: '一括削除モード',
+        toggleTitle: 'メッセージの一括削除を切り替え',
+        toggleTooltip: '一括削除を切り替え ({shortcut}) · 右クリックで設定',
+        diagnosticsWarningOne: '診断: {count} 件のチェックが失敗',
+        diagnosticsWarningOther: '診断: {count} 件のチェックが失敗',
+        protectedBadge: '保護中',
+        messageList: 'メッセージ',
+        close: '閉じる',
+        // Screen reader announcements
+        modeOn: '一括削除モードをオンにしました。矢印キーでメッセージを移動し、スペースで選択、Delete で選択したメッセージを削除します。',
+        modeOff: '一括削除モードをオフにしました。',
+        selectedCountOne: '{count} 件のメッセージを選択中',
+        selectedCountOther: '{count} 件のメッセージを選択中',
+        confirmSelectedOne: '選択した {count} 件のメッセージを削除しますか？もう一度 Delete を押すと確定します。',
+        confirmSelectedOther: '選択した {count} 件のメッセージを削除しますか？もう一度 Delete を押すと確定します。',
+        deletionCancelled: '削除をキャンセルしました。',
+        deletionError: 'エラーのため削除を中止しました。詳細はブラウザのコンソールを参照してください。',
+        pauseRequested: '現在のメッセージの後で削除を一時停止します。',
+        deletionResumed: '削除を再開しました。',
+        cancelRequested: '現在のメッセージの後で削除を中止します。',
+        deletingMessage: 'メッセージを削除中 ({current}/{total})',
+        deletingChat: 'チャットを削除中 ({current}/{total})',
+        doneReloading: '完了: {count} 件削除しました。チャットを再読み込みします。',
+        deletionWrittenBackOne: '削除したメッセージ {count} 件が元に戻りました。再読み込みの前に TypingMind がチャットのコピーを保存しました。もう一度削除してください。',
+        deletionWrittenBackOther: '削除したメッセージ {count} 件が元に戻りました。再読み込みの前に TypingMind がチャットのコピーを保存しました。もう一度削除してください。',
+        allProtected: '削除されませんでした: 選択したメッセージはすべて保護されています。',
+        allChatsProtected: '削除されませんでした: 選択したチャットにはすべて保護されたメッセージがあります。チャットを削除するには、保護を解除してください。',
+        chatsProtectedSkippedOne: '保護されたメッセージがあるため、{count} 件のチャットをスキップしました。',
+        chatsProtectedSkippedOther: '保護されたメッセージがあるため、{count} 件のチャットをスキップしました。',
+        messageIsProtected: 'このメッセージは保護されています。選択するには、メニューから保護を解除してください。',
+        protectionAdded: 'メッセージを一括削除から保護しました。',
+        protectionRemoved: 'メッセージの保護を解除しました。',
+        noMessagesAfter: 'このメッセージ以降に保護されていないメッセージはありません。',
+        noMessagesBefore: 'このメッセージより前に保護されていないメッセージはありません。',
+        confirmAfterOne: 'これ以降の {count} 件のメッセージを削除しますか？もう一度削除ボタンを押すと確定します。',
+        confirmAfterOther: 'これ以降の {count} 件のメッセージを削除しますか？もう一度削除ボタンを押すと確定します。',
+        confirmBeforeOne: 'これより前の {count} 件のメッセージを削除しますか？もう一度削除ボタンを押すと確定します。',
+        confirmBeforeOther: 'これより前の {count} 件のメッセージを削除しますか？もう一度削除ボタンを押すと確定します。',
+        // Preview dialog
+        previewTitleOne: '選択した {count} 件のうち {checked} 件を削除しますか？',
+        previewTitleOther: '選択した {count} 件のうち {checked} 件を削除しますか？',
+        previewPosition: '#{position} / {total} · {role}',
+        previewNotFound: 'このチャットに見つかりません',
+        previewNothingChecked: 'チェックなし',
+        previewSize: '約 {characters} 文字 (約 {tokens} トークン)',
+        roleUser: 'ユーザー',
+        roleAssistant: 'アシスタント',
+        roleSystem: 'システム',
+        roleTool: 'ツール',
+        roleUnknown: '不明',
+        // Pruning
+        pruneTitle: '整理ルール',
+        pruneScope: 'ルールの対象',
+        pruneScopeChat: 'このチャット',
+        pruneScopeGlobal: 'すべてのチャット',
+        pruneRuleOff: 'オフ',
+        pruneKeepLastMessages: '最新の N 件だけを残す',
+        pruneAssistantOlderThanTurns: 'N ターンより前のアシスタントの返信を削除',
+        pruneToolOutputOverChars: 'N 文字を超えるツール出力を削除',
+        pruneAutoThreshold: 'N 件を超えたら自動で適用',
+        pruneAutoDelete: '自動で削除 (プレビューなし)',
+        save: '保存',
+        clear: 'クリア',
+        preview: 'プレビュー',
+        saved: '保存しました。',
+        cleared: 'クリアしました。',
+        pruneNothingToRemove: '削除されるものはありません。',
+        prunePreviewSummary: '{count} 件を選択: {reasons}。削除ボタンで削除します。',
+        nothingToPrune: '整理するものはありません。',
+        pruneSelectedOne: '整理対象として {count} 件のメッセージを選択しました',
+        pruneSelectedOther: '整理対象として {count} 件のメッセージを選択しました',
+        pruneReasonKeepLast: '最新の {count} 件に含まれない',
+        pruneReasonAssistant: '{count} ターンより前のアシスタントの返信',
+        pruneReasonToolOutput: '{count} 文字を超えるツール出力',
+        // Chat list
+        chatBar: 'チャット一覧の一括操作',
+        selectOlderThan: '次より古いものを選択',
+        ageInDays: '経過日数',
+        days: '日',
+        selectChat: 'チャットを選択: {title}',
+        chatsOlderSelectedOne: '{days} 日より古いチャット {count} 件を選択しました',
+        chatsOlderSelectedOther: '{days} 日より古いチャット {count} 件を選択しました',
+        // Settings
+        settingsTitle: '一括削除の設定',
+        settingConfirmWithDialog: 'プレビューダイアログで確認',
+        settingConfirmWindowMs: '「本当に？」の受付時間 (ms)',
+        settingUseDataStore: 'データストア経由で削除 (ページを再読み込み)',
+        settingMinItemDelay: '項目間の最小待ち時間 (ms)',
+        settingMaxItemDelay: '項目間の最大待ち時間 (ms)',
+        settingShowDoneStatus: '「完了」ステータスを表示',
+        settingDoneStatusMs: '「完了」ステータスの表示時間 (ms)',
+        settingStayInBulkMode: '実行後も一括削除モードを続ける',
+        settingUndoWindowMs: '元に戻せる時間 (ms)',
+        settingSelectionColor: '選択色',
+        settingMenuTimeoutMs: 'メニューのタイムアウト (ms)',
+        settingDeleteItemTimeoutMs: '「削除」項目のタイムアウト (ms)',
+        settingConfirmTimeoutMs: '「本当に？」のタイムアウト (ms)',
+        language: '言語',
+        languageAuto: '自動',
+        openAuditLog: '削除ログ...',
+        runDiagnostics: '診断を実行',
+        resetDefaults: '既定値に戻す',
+        // Deletion log
+        auditLogTitle: '削除ログ',
+        auditFilterPlaceholder: 'チャット、UUID、テキストで絞り込み',
+        auditFilterLabel: '削除ログを絞り込む',
+        auditResultLabel: '結果',
+        auditAllResults: 'すべての結果',
+        resultDeleted: '削除済み',
+        resultFailed: '失敗',
+        resultSkipped: 'スキップ',
+        unknownChat: '不明なチャット',
+        auditWholeChat: 'チャット全体',
+        auditLogEmpty: 'まだ何も削除されていません。',
+        auditLogCountOne: '記録された {count} 件中 {shown} 件',
+        auditLogCountOther: '記録された {count} 件中 {shown} 件',
+        exportCsv: 'CSV でエクスポート',
+        exportJsonLog: 'JSON でエクスポート',
+        auditExportFailed: 'エクスポートに失敗しました: {error}',
+        clearLog: 'ログを消去',
+        // Diagnostics
+        diagnosticsTitle: '診断',
+        diagnosticsRunning: 'チェック中...',
+        diagnosticsBusy: '削除中、または別のメニュー操作のチェック中は診断を実行できません。',
+        diagnosticsReport: '診断レポート',
+        copyReport: 'レポートをコピー',
+        copied: 'コピーしました',
+        diagnosticsFailedOne: '{count} 件のチェックが失敗しました。レポートをバグ報告に貼り付けてください。',
+        diagnosticsFailedOther: '{count} 件のチェックが失敗しました。レポートをバグ報告に貼り付けてください。',
+        diagnosticsPassed: 'すべてのチェックに合格しました。',
+        diagHeaderAnchor: 'ヘッダーのアンカー ({selector})',
+        diagToggleShown: '検出; 切り替えボタンを表示中',
+        diagToggleMissing: '検出; 切り替えボタンがありません',
+        diagHeaderAnchorMissing: '見つかりません; 切り替えボタンを配置できません',
+        diagToolbar: 'アクションツールバー ({selector})',
+        diagFound: '検出',
+        diagToolbarMissing: '見つかりません; 削除ボタンと選択バーを配置できません',
+        diagMessageBlocks: 'メッセージブロック ({selector})',
+        diagNoMessages: 'ページにメッセージがありません; メッセージのチェックにはメッセージのあるチャットを開いてください',
+        diagMessagesFound: '{count} 件検出',
+        diagMessageData: 'メッセージデータ (__reactFiber)',
+        diagUuidsFound: '{total} 件中 {found} 件のメッセージで UUID を検出',
+        diagNoFiber: 'メッセージブロックに __reactFiber キーがありません',
+        diagHoverMenu: 'ホバーメニュー ({selector})',
+        diagFoundInMessages: '{total} 件中 {found} 件のメッセージで検出',
+        diagHoverMenuMissing: '{total} 件中 {found} 件のメッセージで検出; メニューボタンがホバーなしで表示されている必要があります',
+        diagMenuButton: '「More Actions」ボタン ({selector})',
+        diagDataStore: 'データストア ({store})',
+        diagChatRecord: '{count} 件のメッセージを含むチャットレコード',
+        diagNoChatRecord: '読み取れるチャットレコードがありません; UI シミュレーションで削除します',
+        diagNoChatOpen: 'チャットが開かれていません; UI シミュレーションで削除します',
+        diagDataStoreError: '{error} UI シミュレーションで削除します。',
+        diagChatEntries: 'サイドバーのチャット項目 ({selector})',
+        diagNoChatEntries: 'ページにありません (サイドバーが閉じている？)',
+        diagChatIdsFound: '{total} 件中 {found} 件の項目でチャット ID を検出',
+        diagMenuFlow: 'メニュー操作 ({selector}: 「Delete」、続いて「Sure?」を検出、クリックはしない)',
+        diagNotRun: '未実行',
+        diagNoSampleMessage: '試せるメッセージがありません',
+        diagMenuFlowPassed: 'メッセージ {uuid} で最後まで確認; 何も削除されていません',
+        diagReportTitle: 'TypingMind Bulk Delete 診断',
+        diagReportTime: '時刻: {value}',
+        diagReportPage: 'ページ: {value}',
+        diagReportBrowser: 'ブラウザ: {value}',
+        diagReportLanguage: '言語: {value}',
+        diagReportResult: '結果: 合格 {passed}、失敗 {failed}、警告 {warnings}、スキップ {skipped}',
+      },
+    },
+  };
+
+  // --- Localization ---
+  /**
+   * Determines which entry of `LOCALES` to use: the user's override in localStorage,
+   * then the document language (which TypingMind sets to its UI language), then the
+   * browser language. Region subtags fall back to the base language ('de-AT' -> 'de').
+   * The result is cached in `activeLocale` until the Language setting or the document
+   * language changes.
+   * @returns {string} A key of `LOCALES`, 'en' if nothing matches.
+   */
+  function getActiveLocale() {
+    if (activeLocale) return activeLocale;
+    let override = null;
+    try {
+      override = localStorage.getItem(LOCALE_STORAGE_KEY);
+    } catch (error) { /* Storage blocked; auto-detect */ }
+    const candidates = [override, document.documentElement.lang, navigator.language];
+    activeLocale = 'en';
+    for (const candidate of candidates) {
+      if (!candidate) continue;
+      const code = candidate.toLowerCase();
+      const baseCode = code.split('-')[0];
+      if (LOCALES[code] || LOCALES[baseCode]) {
+        activeLocale = LOCALES[code] ? code : baseCode;
+        break;
+      }
+    }
+    return activeLocale;
+  }
+
+  /**
+   * Returns one of the extension's own texts in the active language.
+   * @param {string} key A key of `LOCALES.en.strings`.
+   * @param {Object<string, (string|number)>} [params={}] Values for the `{name}` placeholders.
+   * @returns {string} The translated text, the English text if there's no translation.
+   */
+  function translate(key, params = {}) {
+    const template = LOCALES[getActiveLocale()].strings?.[key] ?? LOCALES.en.strings[key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+  }
+
+  /**
+   * Like `translate`, for texts that depend on a count: uses the `<key>One` text for a
+   * count of 1 and the `<key>Other` text otherwise, and fills in `{count}`.
+   * @param {string} key A key of `LOCALES.en.strings` without its `One`/`Other` suffix.
+   * @param {number} count The count.
+   * @param {Object<string, (string|number)>} [params={}] Values for the other placeholders.
+   * @returns {string} The translated text.
+   */
+  function translatePlural(key, count, params = {}) {
+    return translate(`${key}${count === 1 ? 'One' : 'Other'}`, { count, ...params });
+  }
+
+  /**
+   * Returns the display name of a message role in the active language. Roles without
+   * a translation are shown as they are.
+   * @param {string} role The role, e.g. 'assistant'.
+   * @returns {string} The display name.
+   */
+  function translateRole(role) {
+    const key = `role${role.charAt(0).toUpperCase()}${role.slice(1)}`;
+    return key in LOCALES.en.strings ? translate(key) : role;
+  }
+
+  /**
+   * Returns the label variants of one of TypingMind's own buttons: those of the active
+   * language first, then the English ones (TypingMind may not follow the document language).
+   * @param {string} key A key of `LOCALES.en.ui`, e.g. 'delete'.
+   * @returns {string[]} The label variants.
+   */
+  function getLabelVariants(key) {
+    const labels = (LOCALES[getActiveLocale()].ui?.[key] || []).concat(LOCALES.en.ui[key] || []);
+    return Array.from(new Set(labels));
+  }
+
+  // --- Settings ---
+  /**
+   * Reads the settings from localStorage, merged over `DEFAULT_SETTINGS`. Stored values
+   * the settings popover would reject are ignored, like values of the wrong type: numbers
+   * below the field's minimum, and a min. item delay above the max. item delay (both
+   * delays fall back to their defaults then).
+   * @returns {Object} The settings.
+   */
+  function loadSettings() {
+    let stored = {};
+    try {
+      stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) || {};
+    } catch (error) {
+      console.warn('[BulkDelete] Could not read settings, using defaults:', error.message);
+    }
+    const loaded = { ...DEFAULT_SETTINGS };
+    Object.keys(DEFAULT_SETTINGS).forEach(key => {
+      const value = stored[key];
+      if (typeof value !== typeof DEFAULT_SETTINGS[key]) return;
+      if (typeof value === 'number' && !(value >= getSettingMinimum(key))) return;
+      loaded[key] = value;
+    });
+    if (loaded.minItemDelay > loaded.maxItemDelay) { // Edited by hand
+      loaded.minItemDelay = DEFAULT_SETTINGS.minItemDelay;
+      loaded.maxItemDelay = DEFAULT_SETTINGS.maxItemDelay;
+    }
+    return loaded;
+  }
+
+  /**
+   * Returns the smallest value a number setting accepts (see `SETTINGS_FIELDS`).
+   * @param {string} key The setting key.
+   * @returns {number} The minimum.
+   */
+  function getSettingMinimum(key) {
+    return SETTINGS_FIELDS.find(field => field.key === key)?.min ?? 0;
+  }
+
+  /**
+   * Checks a number setting: it must not be below its minimum and must not turn the item
+   * delays into a range whose minimum is above its maximum.
+   * @param {string} key The setting key.
+   * @param {number} value The value to check.
+   * @param {Object} settings The settings the value would replace its current value in.
+   * @returns {boolean} True if the value is accepted.
+   */
+  function isValidNumberSetting(key, value, settings) {
+    if (!(value >= getSettingMinimum(key))) return false;
+    const { minItemDelay, maxItemDelay } = { ...settings, [key]: value };
+    return minItemDelay <= maxItemDelay;
+  }
+
+  /**
+   * Returns the current settings. They are read at the moment they're needed, so
+   * changes apply to the next confirmation, run or highlight without a reload.
+   * @returns {Object} The settings.
+   */
+  function getSettings() {
+    if (!settings) settings = loadSettings();
+    return settings;
+  }
+
+  /**
+   * Changes settings, stores them in localStorage and applies visual changes right away.
+   * @param {Object} changes The settings to change (pass the defaults to reset).
+   */
+  function saveSettings(changes) {
+    settings = { ...getSettings(), ...changes };
+    try {
+      localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+      console.error('[BulkDelete] Could not save settings:', error);
+    }
+    // Re-apply highlights in the (possibly) new selection color
+    const chatId = getCurrentChatId();
+    document.querySelectorAll('[data-element-id="response-block"][data-bulk-delete-enabled="true"]').forEach(block => {
+      applyMessageHighlight(block, block.dataset.messageUuid, chatId);
+    });
+    getChatItems().forEach(item => {
+      if (item.querySelector('input[data-bulk-delete-chat-checkbox]')) applyChatHighlight(item, item.dataset.chatId);
+    });
+  }
+
+  /**
+   * Returns the background color of selected items: the `selectionColor` setting at
+   * `SELECTED_BACKGROUND_OPACITY`.
+   * @returns {string} An rgba() color.
+   */
+  function getSelectedBackgroundColor() {
+    const hex = /^#[0-9a-f]{6}$/i.test(getSettings().selectionColor) ? getSettings().selectionColor : DEFAULT_SETTINGS.selectionColor;
+    const [red, green, blue] = [1, 3, 5].map(index => parseInt(hex.slice(index, index + 2), 16));
+    return `rgba(${red}, ${green}, ${blue}, ${SELECTED_BACKGROUND_OPACITY})`;
+  }
 
   // --- React Internal Access (Fragile) ---
   /**
@@ -73,37 +1190,399 @@
     return data; // Return found data or null
   }
 
+  /**
+   * Returns the role ('user', 'assistant', ...) of the message rendered by a block.
+   * The role is read from the Fiber message data once and cached on the block's dataset.
+   * @param {HTMLElement} block The message block DOM element.
+   * @returns {?string} The message role, or null if it couldn't be determined.
+   */
+  function getMessageRole(block) {
+    if (!block.dataset.messageRole) {
+      const role = findMessageData(block).message?.role;
+      if (role) block.dataset.messageRole = role;
+    }
+    return block.dataset.messageRole || null;
+  }
+
+  /**
+   * Determines the ID of the chat currently open in the main window. Reads the
+   * `chat` parameter of the URL hash, falling back to the `chat` prop found in
+   * the Fiber tree of the first message block.
+   * @returns {?string} The chat ID, or null if it couldn't be determined.
+   */
+  function getCurrentChatId() {
+    const hashChatId = new URLSearchParams(location.hash.replace(/^#/, '')).get('chat');
+    if (hashChatId) return hashChatId;
+
+    const block = document.querySelector('[data-element-id="response-block"]');
+    const fiberKey = block && Object.keys(block).find(key => key.startsWith('__reactFiber'));
+    let current = fiberKey ? block[fiberKey] : null;
+    let depth = 0;
+    const maxDepth = 40; // The chat prop lives further up the tree than the message prop
+    while (current && depth < maxDepth) {
+      const chatId = current.memoizedProps?.chat?.chatID || current.memoizedProps?.chatID;
+      if (chatId) return chatId;
+      current = current.return;
+      depth++;
+    }
+    return null;
+  }
+
+  /**
+   * Attempts to find the chat data rendered by a sidebar chat entry by traversing
+   * React's internal Fiber nodes, like `findMessageData` does for messages.
+   * @param {HTMLElement} element The chat entry DOM element.
+   * @returns {?object} The chat object (with `id` or `chatID`), or null if not found.
+   */
+  function findChatData(element) {
+    const fiberKey = Object.keys(element).find(key => key.startsWith('__reactFiber'));
+    let current = fiberKey ? element[fiberKey] : null;
+    let depth = 0;
+    const maxDepth = 20; // Limit traversal depth to prevent infinite loops
+    while (current && depth < maxDepth) {
+      const chat = current.memoizedProps?.chat;
+      if (chat && (chat.id || chat.chatID)) return chat;
+      current = current.return;
+      depth++;
+    }
+    return null;
+  }
+
+  // --- TypingMind Data Store Access (Fragile) ---
+  /**
+   * Opens TypingMind's IndexedDB database. Fails instead of creating the database
+   * if it doesn't exist.
+   * @param {IDBFactory} [idbFactory=window.indexedDB] The IndexedDB implementation to use.
+   * @returns {Promise<IDBDatabase>} A promise that resolves with the open database.
+   */
+  function openChatDatabase(idbFactory = window.indexedDB) {
+    return new Promise((resolve, reject) => {
+      if (!idbFactory) {
+        reject(new Error('[BulkDelete] IndexedDB is not available.'));
+        return;
+      }
+      const request = idbFactory.open(CHAT_DB_NAME);
+      let databaseMissing = false;
+      // An upgrade means the database didn't exist yet; don't create it
+      request.onupgradeneeded = () => {
+        databaseMissing = true;
+        request.transaction.abort();
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CHAT_DB_STORE)) {
+          db.close();
+          reject(new Error(`[BulkDelete] Object store '${CHAT_DB_STORE}' not found in '${CHAT_DB_NAME}'.`));
+          return;
+        }
+        resolve(db);
+      };
+      request.onerror = () => reject(databaseMissing
+        ? new Error(`[BulkDelete] Database '${CHAT_DB_NAME}' not found.`)
+        : request.error || new Error(`[BulkDelete] Could not open '${CHAT_DB_NAME}'.`));
+    });
+  }
+
+  /**
+   * Reads a chat record (including its `messages` array) from TypingMind's data store.
+   * Looks in IndexedDB first, then in localStorage under the same key.
+   * @param {string} chatId The chat ID.
+   * @param {IDBFactory} [idbFactory=window.indexedDB] The IndexedDB implementation to use.
+   * @param {Storage} [storage=window.localStorage] The Web Storage fallback to use.
+   * @returns {Promise<?object>} A promise that resolves with the chat record, or null if not found.
+   */
+  async function readChatRecord(chatId, idbFactory = window.indexedDB, storage = window.localStorage) {
+    const key = CHAT_KEY_PREFIX + chatId;
+    try {
+      const db = await openChatDatabase(idbFactory);
+      try {
+        const record = await new Promise((resolve, reject) => {
+          const request = db.transaction(CHAT_DB_STORE, 'readonly').objectStore(CHAT_DB_STORE).get(key);
+          request.onsuccess = () => resolve(request.result ?? null);
+          request.onerror = () => reject(request.error);
+        });
+        if (record) return record;
+      } finally {
+        db.close();
+      }
+    } catch (error) {
+      if (!storage?.getItem(key)) throw error; // No fallback available
+    }
+    const stored = storage?.getItem(key);
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  /**
+   * Reads, modifies and writes back a chat record in TypingMind's data store.
+   * Uses a single IndexedDB readwrite transaction, or the localStorage copy of the
+   * record if IndexedDB can't be opened or doesn't have it. Once IndexedDB has handed
+   * out the record, errors are passed on as they are: the localStorage copy may be stale.
+   * @param {string} chatId The chat ID.
+   * @param {function(object): object} updateFn Receives the stored chat record and returns the record to store.
+   *     Throwing from it aborts the update without changing anything.
+   * @param {IDBFactory} [idbFactory=window.indexedDB] The IndexedDB implementation to use.
+   * @param {Storage} [storage=window.localStorage] The Web Storage fallback to use.
+   * @returns {Promise<object>} A promise that resolves with the stored record once it has been written.
+   */
+  async function updateChatRecord(chatId, updateFn, idbFactory = window.indexedDB, storage = window.localStorage) {
+    let recordFound = false;
+    try {
+      return await updateChatRecordInIndexedDb(chatId, record => {
+        recordFound = true;
+        return updateFn(record);
+      }, idbFactory);
+    } catch (error) {
+      // The record was there: the update itself was refused or couldn't be committed
+      if (recordFound) throw error;
+      const key = CHAT_KEY_PREFIX + chatId;
+      const stored = storage?.getItem(key);
+      if (!stored) throw error; // No fallback available
+      const updatedRecord = updateFn(JSON.parse(stored));
+      if ('updatedAt' in updatedRecord) updatedRecord.updatedAt = new Date().toISOString();
+      storage.setItem(key, JSON.stringify(updatedRecord));
+      return updatedRecord;
+    }
+  }
+
+  /**
+   * Reads, modifies and writes back a chat record within a single IndexedDB readwrite transaction.
+   * @param {string} chatId The chat ID.
+   * @param {function(object): object} updateFn Receives the stored chat record and returns the record to store.
+   * @param {IDBFactory} idbFactory The IndexedDB implementation to use.
+   * @returns {Promise<object>} A promise that resolves with the stored record once the transaction has committed.
+   */
+  async function updateChatRecordInIndexedDb(chatId, updateFn, idbFactory) {
+    const db = await openChatDatabase(idbFactory);
+    try {
+      return await new Promise((resolve, reject) => {
+        const key = CHAT_KEY_PREFIX + chatId;
+        const transaction = db.transaction(CHAT_DB_STORE, 'readwrite');
+        const store = transaction.objectStore(CHAT_DB_STORE);
+        let updatedRecord = null;
+
+        const request = store.get(key);
+        request.onsuccess = () => {
+          if (!request.result) {
+            transaction.abort();
+            reject(new Error(`[BulkDelete] Chat record '${key}' not found.`));
+            return;
+          }
+          try {
+            updatedRecord = updateFn(request.result);
+            // Bump the modification time so TypingMind's sync treats this version as the newest
+            if ('updatedAt' in updatedRecord) updatedRecord.updatedAt = new Date().toISOString();
+            store.put(updatedRecord, key);
+          } catch (error) {
+            transaction.abort();
+            reject(error);
+          }
+        };
+        transaction.oncomplete = () => resolve(updatedRecord);
+        transaction.onabort = () => reject(transaction.error || new Error(`[BulkDelete] Transaction on '${key}' was aborted.`));
+      });
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Removes messages from a stored chat record in one transaction. Nothing is changed
+   * unless every UUID is found in the record.
+   * @param {string} chatId The chat ID.
+   * @param {string[]} uuids UUIDs of the messages to remove.
+   * @param {IDBFactory} [idbFactory=window.indexedDB] The IndexedDB implementation to use.
+   * @param {Storage} [storage=window.localStorage] The Web Storage fallback to use.
+   * @returns {Promise<boolean>} True if the messages were removed, false if the store couldn't be used.
+   */
+  async function deleteMessagesViaStore(chatId, uuids, idbFactory = window.indexedDB, storage = window.localStorage) {
+    const targets = new Set(uuids);
+    try {
+      await updateChatRecord(chatId, chat => {
+        const messages = Array.isArray(chat.messages) ? chat.messages : [];
+        const remaining = messages.filter(message => !targets.has(message.uuid));
+        if (messages.length - remaining.length !== targets.size) {
+          throw new Error('Not all selected messages were found in the stored chat record.');
+        }
+        return { ...chat, messages: remaining };
+      }, idbFactory, storage);
+      return true;
+    } catch (error) {
+      console.warn('[BulkDelete] Could not delete via data store, falling back to UI simulation:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Collects every message of the current chat in chat order, including messages
+   * that aren't rendered. Uses the stored chat record and appends rendered messages
+   * that aren't stored yet (e.g. a reply that is still streaming). Falls back to the
+   * rendered messages alone if the record can't be read.
+   * @returns {Promise<object[]>} A promise that resolves with the message objects.
+   */
+  async function getAllChatMessages() {
+    const renderedMessages = Array.from(document.querySelectorAll('[data-element-id="response-block"]'))
+      .map(block => findMessageData(block).message)
+      .filter(message => message !== null);
+    const chatId = getCurrentChatId();
+    let storedMessages = [];
+    try {
+      const record = chatId ? await readChatRecord(chatId) : null;
+      if (Array.isArray(record?.messages)) storedMessages = record.messages;
+    } catch (error) {
+      console.warn('[BulkDelete] Could not read the chat record, using rendered messages only:', error.message);
+    }
+    const storedUuids = new Set(storedMessages.map(message => message.uuid));
+    return storedMessages.concat(renderedMessages.filter(message => !storedUuids.has(message.uuid)));
+  }
+
+  /**
+   * Reloads the page so TypingMind re-reads the chat from its data store.
+   * TypingMind keeps chats in memory, so direct store changes only show up after a reload.
+   */
+  function refreshChatView() {
+    location.reload();
+  }
+
+  /**
+   * Keeps the result of a data store deletion for the page the reload after it brings up,
+   * where `showCarriedRunStatus` checks and shows it.
+   * @param {string} chatId The chat the messages were deleted from.
+   * @param {string[]} uuids UUIDs of the deleted messages.
+   */
+  function carryRunStatusAcrossReload(chatId, uuids) {
+    try {
+      sessionStorage.setItem(RELOAD_STATUS_STORAGE_KEY, JSON.stringify({ chatId, uuids }));
+    } catch (error) {
+      console.warn('[BulkDelete] Could not keep the deletion status across the reload:', error.message);
+    }
+  }
+
+  /**
+   * Shows the result of a data store deletion once the page has reloaded after it. The
+   * stored chat is checked first: if TypingMind wrote its in-memory copy back before the
+   * reload, the messages are in it again, and they are reported as failed instead.
+   * @returns {Promise<void>} A promise that resolves once the status is shown.
+   */
+  async function showCarriedRunStatus() {
+    let status = null;
+    try {
+      status = JSON.parse(sessionStorage.getItem(RELOAD_STATUS_STORAGE_KEY));
+      sessionStorage.removeItem(RELOAD_STATUS_STORAGE_KEY);
+    } catch (error) {
+      return; // Storage blocked; nothing was carried over
+    }
+    if (!status?.chatId || !Array.isArray(status.uuids)) return;
+    let writtenBack = [];
+    try {
+      const record = await readChatRecord(status.chatId);
+      const storedUuids = new Set((record?.messages || []).map(message => message.uuid));
+      writtenBack = status.uuids.filter(uuid => storedUuids.has(uuid));
+    } catch (error) {
+      console.warn('[BulkDelete] Could not check the chat record after the reload:', error.message);
+    }
+    const { showDoneStatus, doneStatusMs } = getSettings();
+    if (writtenBack.length > 0) {
+      console.warn(`[BulkDelete] ${writtenBack.length} deleted message(s) were written back by TypingMind before the reload.`);
+      announce(translatePlural('deletionWrittenBack', writtenBack.length));
+    } else {
+      announce(formatRunSummary(false, status.uuids.length, 0, 0));
+    }
+    if (!showDoneStatus && writtenBack.length === 0) return;
+    carriedRunStatus = {
+      text: formatRunSummary(false, status.uuids.length - writtenBack.length, writtenBack.length, 0),
+      durationMs: doneStatusMs,
+      until: null, // Starts once the 'Undo' button shows it
+    };
+    ensureUndoButtonExists();
+  }
+
   // --- UI Interaction Helpers ---
   /**
    * Finds a button within a parent element based on its visible text content.
    * Prioritizes buttons with role="menuitem".
    * @param {?HTMLElement} parentElement The container element to search within.
-   * @param {string} text The text content to match (case-insensitive).
+   * @param {string|string[]} text The text content to match (case-insensitive), or a list of label variants.
    * @returns {?HTMLButtonElement} The found button element or null.
    */
   function findButtonByText(parentElement, text) {
     if (!parentElement || parentElement.offsetParent === null) return null; // Ensure parent is valid and visible
-    const lowerText = text.toLowerCase();
+    const lowerTexts = [].concat(text).map(variant => variant.toLowerCase());
+    const matches = el => lowerTexts.includes(el.textContent?.trim().toLowerCase());
     // Prioritize menu items
-    let button = Array.from(parentElement.querySelectorAll('button[role="menuitem"]'))
-      .find(el => el.textContent?.trim().toLowerCase() === lowerText);
+    let button = Array.from(parentElement.querySelectorAll('button[role="menuitem"]')).find(matches);
     // Fallback to any button if no menu item matches
     if (!button) {
-      button = Array.from(parentElement.querySelectorAll('button'))
-        .find(el => el.textContent?.trim().toLowerCase() === lowerText);
+      button = Array.from(parentElement.querySelectorAll('button')).find(matches);
     }
     // Return button only if found and visible
     return (button && button.offsetParent !== null) ? button : null;
   }
 
+  /**
+   * Finds the 'Delete' item of an open action menu. Tries the label variants of the active
+   * language, then items whose `data-element-id` or `id` mentions "delete", then the last
+   * item styled as destructive (red text), so localized menus still work.
+   * @param {?HTMLElement} menuElement The open menu.
+   * @returns {?HTMLButtonElement} The visible 'Delete' item or null.
+   */
+  function findDeleteMenuItem(menuElement) {
+    const byLabel = findButtonByText(menuElement, getLabelVariants('delete'));
+    if (byLabel || !menuElement) return byLabel;
+    const items = Array.from(menuElement.querySelectorAll('button, [role="menuitem"]'))
+      .filter(el => el.offsetParent !== null);
+    return items.find(el => /delete/i.test(el.dataset.elementId || '') || /delete/i.test(el.id))
+      || items.filter(el => /(^|\s)(dark:)?text-red-\d+/.test(el.className)).pop()
+      || null;
+  }
+
+  /**
+   * Finds the inline confirmation ('Sure?') button of an open action menu after its
+   * 'Delete' item was clicked. Tries the label variants of the active language, then falls
+   * back to position: TypingMind turns the clicked item itself into the confirmation.
+   * @param {?HTMLElement} menuElement The open menu.
+   * @param {HTMLElement} deleteItem The 'Delete' item that was clicked.
+   * @param {string} deleteItemText The text of the 'Delete' item before it was clicked.
+   * @returns {?HTMLButtonElement} The visible confirmation button or null.
+   */
+  function findConfirmMenuItem(menuElement, deleteItem, deleteItemText) {
+    const byLabel = findButtonByText(menuElement, getLabelVariants('confirm'));
+    if (byLabel) return byLabel;
+    const changedInPlace = deleteItem.isConnected && deleteItem.offsetParent !== null
+      && deleteItem.textContent.trim() !== deleteItemText;
+    return changedInPlace ? deleteItem : null;
+  }
+
+  /**
+   * Makes a hidden element visible by un-hiding it and every hidden ancestor below `root`,
+   * e.g. the message menu button of TypingMind's mobile layout, which stays hidden until
+   * the message is tapped.
+   * @param {HTMLElement} element The element to reveal.
+   * @param {HTMLElement} root The ancestor to stop at (not changed).
+   * @returns {Array<{element: HTMLElement, className: string, display: string}>} The changed
+   *     elements with their previous class and inline display, to restore them afterwards.
+   */
+  function revealHiddenElement(element, root) {
+    const changed = [];
+    for (let current = element; current && current !== root; current = current.parentElement) {
+      if (getComputedStyle(current).display !== 'none') continue;
+      changed.push({ element: current, className: current.className, display: current.style.display });
+      current.classList.remove('hidden');
+      // Responsive classes (e.g. 'max-md:hidden') still hide it
+      if (getComputedStyle(current).display === 'none') current.style.display = 'flex';
+    }
+    return changed;
+  }
+
   /**
    * Waits for an element selected by a function to appear in the DOM and be visible.
    * @param {Function} selectorFn A function that attempts to select the element.
    * @param {Array} [args=[]] Arguments to pass to the selector function.
    * @param {number} [timeout=1500] Maximum time to wait in milliseconds.
+   * @param {string} [description='Element via selectorFn'] What is being waited for, used in the
+   *     timeout error; translated, since the error is shown as the failure reason.
    * @returns {Promise<HTMLElement>} A promise that resolves with the element or rejects on timeout.
    */
-  function waitForElement(selectorFn, args = [], timeout = 1500) {
+  function waitForElement(selectorFn, args = [], timeout = 1500, description = 'Element via selectorFn') {
     return new Promise((resolve, reject) => {
       const startTime = Date.now();
       const interval = 50; // Check frequency
@@ -118,7 +1597,7 @@
           resolve(element); // Element found and visible
         } else if (Date.now() - startTime > timeout) {
           // Timeout reached
-          reject(new Error(`[BulkDelete] Element via selectorFn not found or not visible after ${timeout}ms`));
+          reject(new Error(`[BulkDelete] ${translate('failureNotFound', { element: description, timeout })}`));
         } else {
           // Element not found/visible yet, check again after interval
           setTimeout(check, interval);
@@ -128,222 +1607,3048 @@
     });
   }
 
+  /**
+   * Waits for an element to be removed from the DOM.
+   * @param {HTMLElement} element The element expected to disconnect.
+   * @param {number} timeout Maximum time to wait in milliseconds.
+   * @param {string} [description] What is being waited for, used in the timeout error; defaults
+   *     to the translated 'Message'.
+   * @returns {Promise<number>} A promise that resolves with the time waited in milliseconds, or rejects on timeout.
+   */
+  function waitForDisconnect(element, timeout, description = translate('stepMessage')) {
+    return new Promise((resolve, reject) => {
+      const startTime = Date.now();
+      if (!element.isConnected) {
+        resolve(0);
+        return;
+      }
+      let timeoutId = null;
+      const disconnectObserver = new MutationObserver(() => {
+        if (element.isConnected) return;
+        disconnectObserver.disconnect();
+        clearTimeout(timeoutId);
+        resolve(Date.now() - startTime);
+      });
+      disconnectObserver.observe(document.body, { childList: true, subtree: true });
+      timeoutId = setTimeout(() => {
+        disconnectObserver.disconnect();
+        reject(new Error(`[BulkDelete] ${translate('failureStillPresent', { element: description, timeout })}`));
+      }, timeout);
+    });
+  }
+
+  /**
+   * Waits until a subtree has had no DOM mutations for `quietPeriod` milliseconds.
+   * @param {Node} root The node whose subtree is watched.
+   * @param {number} quietPeriod How long the DOM must stay unchanged, in milliseconds.
+   * @param {number} maxWait Maximum total time to wait in milliseconds (e.g. while a reply is streaming elsewhere).
+   * @returns {Promise<boolean>} A promise that resolves once the DOM has settled (true) or `maxWait` has passed (false).
+   */
+  function waitForDomSettled(root, quietPeriod, maxWait) {
+    return new Promise(resolve => {
+      let quietTimer = null;
+      const finish = settled => {
+        settleObserver.disconnect();
+        clearTimeout(quietTimer);
+        clearTimeout(maxTimer);
+        resolve(settled);
+      };
+      const settleObserver = new MutationObserver(() => {
+        clearTimeout(quietTimer); // Activity: restart the quiet period
+        quietTimer = setTimeout(finish, quietPeriod, true);
+      });
+      settleObserver.observe(root, { childList: true, subtree: true, attributes: true, characterData: true });
+      quietTimer = setTimeout(finish, quietPeriod, true);
+      const maxTimer = setTimeout(finish, maxWait, false);
+    });
+  }
+
   /**
    * Simulates the UI interaction required to delete a single message.
-   * Scrolls to the message, triggers hover, clicks 'More Actions', 'Delete', and 'Sure?'.
+   * Scrolls to the message, triggers hover, clicks 'More Actions', 'Delete', and 'Sure?',
+   * then confirms the deletion by waiting for the message block to leave the DOM.
    * @param {HTMLElement} messageElement The DOM element of the message block.
    * @param {string} uuid The UUID of the message being deleted (for logging).
-   * @returns {Promise<boolean>} True if the deletion UI interaction sequence completed successfully, false otherwise.
+   * @param {{confirmationMs?: number}} [timings] Optional object that receives how long the
+   *     message block took to disappear after 'Sure?' was clicked.
+   * @param {boolean} [dryRun=false] Stop once the 'Sure?' button has been found, without
+   *     clicking it, then close the menu and restore the hover menu (used by diagnostics).
+   * @returns {Promise<{success: boolean, error: ?string}>} Whether the message was confirmed deleted
+   *     (or, in a dry run, whether every step was found), and the reason if it wasn't.
    */
-  async function deleteMessageViaUI(messageElement, uuid) {
-      const hoverMenuContainerSelector = 'div.dark\\:bg-slate-950.absolute.items-center'; // Selector for the hover menu
+  async function deleteMessageViaUI(messageElement, uuid, timings = {}, dryRun = false) {
+      let hoverMenuContainer = null;
+      let hoverMenuClassName = '';
+      let revealedElements = [];
 
       try {
-          if (!messageElement?.isConnected) throw new Error(`Target element not connected.`); // Check if element is still in DOM
+          if (!messageElement?.isConnected) throw new Error(translate('failureNotConnected')); // Check if element is still in DOM
 
           // Ensure the hover menu area is potentially visible
           messageElement.scrollIntoView({ behavior: 'instant', block: 'end' });
+          // Touch layouts have no hover; emulate it in case the menu is only shown on hover
+          messageElement.dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
           await new Promise(resolve => setTimeout(resolve, 100)); // Short delay for scroll
 
           // Force the hover menu to be visible if it exists (sometimes hover state is tricky)
-          const hoverMenuContainer = messageElement.querySelector(hoverMenuContainerSelector);
+          hoverMenuContainer = messageElement.querySelector(HOVER_MENU_SELECTOR);
           if (hoverMenuContainer) {
+              hoverMenuClassName = hoverMenuContainer.className;
               hoverMenuContainer.classList.remove('hidden'); // Ensure it's not hidden by default class
               hoverMenuContainer.classList.add('flex'); // Ensure it uses flex display
               await new Promise(resolve => setTimeout(resolve, 50)); // Short delay for potential transition
           }
 
-          // Find and click the 'More Actions' (...) button
-          const actionsButton = messageElement.querySelector('[data-element-id="more-actions-menu-button"]');
-          if (!actionsButton || actionsButton.offsetParent === null) throw new Error(`'More Actions' button not found or not visible.`);
+          // Find and click the 'More Actions' (...) button; the mobile layout may render its own copy
+          const actionsButtons = Array.from(messageElement.querySelectorAll(MESSAGE_MENU_BUTTON_SELECTOR));
+          const actionsButton = actionsButtons.find(button => button.offsetParent !== null) || actionsButtons[0];
+          // In the mobile layout the button is hidden until the message is tapped
+          if (actionsButton?.offsetParent === null) revealedElements = revealHiddenElement(actionsButton, messageElement);
+          if (!actionsButton || actionsButton.offsetParent === null) throw new Error(translate('failureMenuButtonMissing'));
           actionsButton.click();
           await new Promise(resolve => setTimeout(resolve, 100)); // Wait for menu to open
 
           // Wait for the action menu itself to appear
-          const menuElement = await waitForElement(() => document.querySelector('div[role="menu"][data-headlessui-state="open"]'), [], 1000);
+          const menuElement = await waitForElement(() => document.querySelector(OPEN_MENU_SELECTOR), [], getSettings().menuTimeoutMs, translate('stepActionsMenu'));
           // Find and click the 'Delete' button within the menu
-          const deleteButton = await waitForElement(findButtonByText, [menuElement, 'Delete']);
+          const deleteButton = await waitForElement(findDeleteMenuItem, [menuElement], getSettings().deleteItemTimeoutMs, translate('stepDeleteItem'));
+          const deleteButtonText = deleteButton.textContent.trim();
           deleteButton.click();
           await new Promise(resolve => setTimeout(resolve, 100)); // Wait for 'Sure?' button to appear
 
           // Find and click the 'Sure?' confirmation button
-          const confirmButton = await waitForElement(findButtonByText, [menuElement, 'Sure?'], 500); // Shorter timeout for confirmation
+          const confirmButton = await waitForElement(findConfirmMenuItem, [menuElement, deleteButton, deleteButtonText], getSettings().confirmTimeoutMs, translate('stepConfirmButton')); // Shorter timeout for confirmation
+          if (dryRun) return { success: true, error: null }; // Every step is there; don't confirm
           confirmButton.click();
 
-          return true; // Sequence successful
+          // Only count the deletion once the message block has actually gone
+          timings.confirmationMs = await waitForDisconnect(messageElement, DELETE_CONFIRM_TIMEOUT);
+          return { success: true, error: null }; // Sequence successful
       } catch (error) {
           // Log errors encountered during the UI simulation
           console.error(`[BulkDelete - ${uuid}] Error simulating delete:`, error.message);
-          return false; // Sequence failed
+          return { success: false, error: error.message.replace(/^\[BulkDelete\] /, '') }; // Sequence failed
+      } finally {
+          if (dryRun) {
+              // Leave the message as it was: close the menu (still showing 'Sure?') and the hover menu
+              closeOpenMenu();
+              if (hoverMenuContainer) hoverMenuContainer.className = hoverMenuClassName;
+          }
+          // Hide the mobile menu button again if the message is still there
+          revealedElements.forEach(({ element, className, display }) => {
+              element.className = className;
+              element.style.display = display;
+          });
       }
   }
 
-  // --- Core Bulk Delete Logic ---
   /**
-   * Handles click events on message blocks when bulk delete mode is enabled.
-   * Toggles the selection state of the clicked message and updates the UI.
-   * @param {MouseEvent} event The click event object.
+   * Closes the open action menu without choosing an item: sends Escape to it, then an
+   * outside click in case it ignores the key.
    */
-  function handleMessageClick(event) {
-    const block = event.currentTarget; // The message block element that was clicked
-    const messageUuid = block.dataset.messageUuid; // Get UUID stored in data attribute
-    if (!messageUuid) return; // Ignore if UUID couldn't be determined
-
-    // If user clicks a message while delete confirmation is active, cancel confirmation
-    if (isConfirmingBulkDelete) {
-      resetBulkDeleteConfirmation();
+  function closeOpenMenu() {
+    const menuElement = document.querySelector(OPEN_MENU_SELECTOR);
+    if (!menuElement) return;
+    menuElement.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+    if (menuElement.isConnected && menuElement.matches(OPEN_MENU_SELECTOR)) {
+      document.body.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+      document.body.dispatchEvent(new MouseEvent('click', { bubbles: true }));
     }
+  }
 
-    // Toggle selection state
-    if (selectedMessages.has(messageUuid)) {
-      selectedMessages.delete(messageUuid); // Remove from set
-      block.style.backgroundColor = ''; // Remove selection highlight
-    } else {
-      selectedMessages.add(messageUuid); // Add to set
-      block.style.backgroundColor = SELECTED_BACKGROUND_COLOR; // Apply selection highlight
+  /**
+   * Simulates the UI interaction required to delete a single chat from the sidebar.
+   * Opens the chat entry's action menu, clicks 'Delete', then confirms with 'Sure?' in
+   * the menu or the confirm button of a dialog, and waits for the entry to leave the DOM.
+   * @param {HTMLElement} chatItem The DOM element of the chat entry.
+   * @param {string} chatId The ID of the chat being deleted (for logging).
+   * @returns {Promise<{success: boolean, error: ?string}>} Whether the chat was confirmed deleted,
+   *     and the reason if it wasn't.
+   */
+  async function deleteChatViaUI(chatItem, chatId) {
+    try {
+      if (!chatItem?.isConnected) throw new Error(translate('failureNotConnected'));
+      chatItem.scrollIntoView({ behavior: 'instant', block: 'nearest' });
+      // The menu button is only shown on hover
+      chatItem.dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+      const menuButton = await waitForElement(() => chatItem.querySelector(CHAT_ITEM_MENU_BUTTON_SELECTOR), [], getSettings().menuTimeoutMs, translate('stepChatMenuButton'));
+      menuButton.click();
+
+      const menuElement = await waitForElement(() => document.querySelector(OPEN_MENU_SELECTOR), [], getSettings().menuTimeoutMs, translate('stepChatMenu'));
+      const deleteButton = await waitForElement(findDeleteMenuItem, [menuElement], getSettings().deleteItemTimeoutMs, translate('stepDeleteItem'));
+      const deleteButtonText = deleteButton.textContent.trim();
+      deleteButton.click();
+
+      // TypingMind confirms either inline ('Sure?') or in a dialog
+      const findConfirmButton = () => findConfirmMenuItem(menuElement, deleteButton, deleteButtonText)
+        || findDeleteMenuItem(document.querySelector('[role="dialog"]'))
+        || findButtonByText(document.querySelector('[role="dialog"]'), getLabelVariants('confirm'));
+      // A dialog may take longer to animate in than the inline 'Sure?'
+      const confirmButton = await waitForElement(findConfirmButton, [], Math.max(getSettings().confirmTimeoutMs, getSettings().deleteItemTimeoutMs), translate('stepDeleteConfirmation'));
+      confirmButton.click();
+
+      await waitForDisconnect(chatItem, DELETE_CONFIRM_TIMEOUT, translate('stepChat'));
+      return { success: true, error: null };
+    } catch (error) {
+      console.error(`[BulkDelete - chat ${chatId}] Error simulating delete:`, error.message);
+      return { success: false, error: error.message.replace(/^\[BulkDelete\] /, '') };
     }
-    updateBulkDeleteButtonUI(); // Update the delete button's state (count, visibility)
   }
 
+  // --- Export ---
   /**
-   * Attaches click listeners and necessary data attributes to message blocks
-   * to enable selection functionality. Also ensures the bulk delete button exists.
+   * Converts a message's content into plain text. Content may be a string or an
+   * array of parts (e.g. `{type: 'text', text}` / `{type: 'image_url', ...}`).
+   * @param {?object} message The message object from the Fiber data.
+   * @returns {string} The message text, with non-text parts shown as placeholders.
    */
-  function enableClickSelection() {
-    const responseBlocks = document.querySelectorAll('[data-element-id="response-block"]');
-    responseBlocks.forEach((block) => {
-      const existingUuid = block.dataset.messageUuid;
-      const listenerAlreadyAdded = block.dataset.bulkDeleteEnabled === 'true';
-      // Try to find UUID if not already stored or if element might be new
-      let messageUuid = existingUuid || findMessageData(block).message?.uuid;
-      if (!messageUuid) return; // Skip if no UUID found
-
-      // Store UUID if not already present
-      if (!existingUuid) block.dataset.messageUuid = messageUuid;
-      // Add listener if not already added for this element instance
-      if (!listenerAlreadyAdded) {
-        block.addEventListener('click', handleMessageClick);
-        block.dataset.bulkDeleteEnabled = 'true'; // Mark as having listener attached
-      }
-      // Apply visual cues for selection mode
-      block.style.cursor = 'pointer';
-      // Ensure background reflects current selection state
-      block.style.backgroundColor = selectedMessages.has(messageUuid) ? SELECTED_BACKGROUND_COLOR : '';
-    });
-    ensureBulkDeleteButtonExists(); // Make sure the delete button is visible if needed
-    updateBulkDeleteButtonUI(); // Update delete button text/state
+  function getMessageText(message) {
+    const content = message?.content;
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+      return content
+        .map(part => typeof part === 'string' ? part : (part?.text ?? `[${part?.type || 'attachment'}]`))
+        .join('\n\n');
+    }
+    return '';
   }
 
   /**
-   * Removes click listeners and selection-related styles/attributes from message blocks.
+   * Returns the start of a message's text on a single line, for previews and the deletion log.
+   * @param {?object} message The message object from the Fiber data.
+   * @returns {string} At most `SNIPPET_LENGTH` characters, with '…' if the text was cut.
    */
-  function removeMessageSelectionListeners() {
-    document.querySelectorAll('[data-element-id="response-block"][data-bulk-delete-enabled="true"]').forEach(block => {
-      block.removeEventListener('click', handleMessageClick);
-      block.style.cursor = ''; // Reset cursor
-      block.style.backgroundColor = ''; // Reset background
-      // Clean up data attributes
-      delete block.dataset.bulkDeleteEnabled;
-      // Keep messageUuid for potential re-enabling? Maybe remove if causing issues.
-      // delete block.dataset.messageUuid;
-    });
+  function getMessageSnippet(message) {
+    const text = getMessageText(message).replace(/\s+/g, ' ').trim();
+    return text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH)}…` : text;
   }
 
   /**
-   * Disables the bulk selection mode by removing listeners and the delete button.
+   * Formats messages as a Markdown document with a role heading per message.
+   * @param {object[]} messages The message objects, in document order.
+   * @returns {string} The Markdown document.
    */
-  function disableClickSelection() {
-    removeMessageSelectionListeners();
-    // Remove the bulk delete button if it exists
-    if (bulkDeleteButton) {
-      bulkDeleteButton.remove();
-      bulkDeleteButton = null;
-    }
+  function formatMessagesAsMarkdown(messages) {
+    const sections = messages.map(message => {
+      const role = message.role ? message.role.charAt(0).toUpperCase() + message.role.slice(1) : 'Unknown';
+      const timestamp = message.createdAt ? ` (${message.createdAt})` : '';
+      return `## ${role}${timestamp}\n\n${getMessageText(message)}`;
+    });
+    return `# Exported messages\n\n${sections.join('\n\n---\n\n')}\n`;
   }
 
   /**
-   * Toggles the bulk delete mode on or off.
+   * Saves text content to a file. Uses the File System Access API when available, so the
+   * returned promise settles only after the file has been written; otherwise falls back to
+   * a regular browser download.
+   * @param {string} content The file content.
+   * @param {string} filename The suggested file name.
+   * @param {string} mimeType The MIME type of the content.
+   * @returns {Promise<?string>} 'written' if the file was written through the save dialog,
+   *     'downloaded' if it was handed to the browser's download manager (which may still
+   *     block or fail it), null if the user cancelled.
    */
-  function toggleBulkDeleteMode() {
-    bulkDeleteEnabled = !bulkDeleteEnabled; // Flip the state
-    if (bulkDeleteEnabled) {
-      enableClickSelection(); // Enable mode: add listeners, show button
-    } else {
-      // Disable mode: cancel confirmation, remove listeners, hide button, clear selection
-      if (isConfirmingBulkDelete) {
-        resetBulkDeleteConfirmation();
+  async function saveFile(content, filename, mimeType) {
+    if (typeof window.showSaveFilePicker === 'function') {
+      try {
+        const extension = filename.slice(filename.lastIndexOf('.'));
+        const handle = await window.showSaveFilePicker({
+          suggestedName: filename,
+          types: [{ description: filename, accept: { [mimeType]: [extension] } }],
+        });
+        const writable = await handle.createWritable();
+        await writable.write(content);
+        await writable.close(); // Resolves once the data is on disk
+        return 'written';
+      } catch (error) {
+        if (error.name === 'AbortError') return null; // User dismissed the save dialog
+        console.warn('[BulkDelete] Save dialog failed, falling back to download:', error.message);
       }
-      disableClickSelection();
-      selectedMessages.clear();
     }
-    updateToggleButtonVisualState(); // Update toggle button appearance
+    // Fallback: hand the file to the browser's download manager
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000); // Give the download time to start
+    return 'downloaded';
   }
 
-  // --- UI Element Management ---
   /**
-   * Updates the text, visibility, and disabled state of the bulk delete button
-   * based on the current selection count and confirmation state.
-   * Does nothing if the deletion process is actively running (`isBulkDeleting`).
+   * Exports the currently selected messages, in document order, as a Markdown or JSON file.
+   * @param {'markdown'|'json'} format The export format.
+   * @returns {Promise<?string>} How the file was saved ('written' or 'downloaded', see
+   *     `saveFile`), or null if nothing was exported.
    */
-  function updateBulkDeleteButtonUI() {
-    // Ensure button exists if mode is enabled, otherwise ignore.
-    if (bulkDeleteEnabled && (!bulkDeleteButton || !bulkDeleteButton.isConnected)) {
-      ensureBulkDeleteButtonExists();
+  async function exportSelectedMessages(format) {
+    // Includes selected messages that aren't rendered, e.g. ones selected by search
+    const messages = (await getAllChatMessages()).filter(message => selectedMessages.has(message.uuid));
+    if (messages.length === 0) {
+      console.warn('[BulkDelete] No message data found for the current selection; nothing exported.');
+      return null;
     }
-    // If button still doesn't exist (e.g., toolbar not found), exit.
-    if (!bulkDeleteButton || !bulkDeleteButton.isConnected) return;
-    // Prevent UI updates if the deletion loop is active.
-    if (isBulkDeleting) return;
-
-    const selectedCount = selectedMessages.size;
-    const buttonTextSpan = bulkDeleteButton.querySelector('span');
-
-    // Button should be visible if messages are selected OR if we are in the confirmation step
-    // Determine visibility: Show if messages are selected OR if confirming delete
-    bulkDeleteButton.style.display = (selectedCount > 0 || isConfirmingBulkDelete) ? 'inline-flex' : 'none';
 
-    // Update button text
-    if (buttonTextSpan) {
-        buttonTextSpan.textContent = isConfirmingBulkDelete ? 'Sure?' : `Delete (${selectedCount})`;
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    try {
+      if (format === 'json') {
+        return await saveFile(JSON.stringify(messages, null, 2), `typingmind-messages-${timestamp}.json`, 'application/json');
+      }
+      return await saveFile(formatMessagesAsMarkdown(messages), `typingmind-messages-${timestamp}.md`, 'text/markdown');
+    } catch (error) {
+      console.error('[BulkDelete] Error exporting messages:', error);
+      return null;
     }
-
-    // Update disabled state: Disable if no messages selected AND not in confirmation mode
-    bulkDeleteButton.disabled = selectedCount === 0 && !isConfirmingBulkDelete;
   }
 
   /**
-   * Creates and injects the bulk delete button into the UI if it doesn't exist or isn't connected.
-   * Finds the target toolbar using `TOOLBAR_SELECTOR`.
+   * Asks the user whether a downloaded export was saved. The download manager gives no
+   * word on whether the file arrived, so "Delete after export" waits for this answer.
+   * @param {number} count The number of messages that would be deleted.
+   * @returns {Promise<boolean>} True if the user confirmed the deletion, false if they kept
+   *     the messages or closed the dialog.
    */
-  function ensureBulkDeleteButtonExists() {
+  function confirmDownloadSaved(count) {
+    return new Promise(resolve => {
+      const dialog = openModal('bulk-delete-download-dialog', translate('downloadSavedTitle'));
+      let confirmed = false;
+      activeModal.onClose = () => resolve(confirmed);
+      const text = document.createElement('p');
+      text.className = 'px-4 pt-1 pb-2 text-xs text-slate-500 dark:text-slate-400';
+      text.textContent = translate('downloadSavedText');
+      const actions = document.createElement('div');
+      actions.className = 'flex justify-end gap-2 p-3';
+      const keepButton = createSelectionBarButton(translate('keepMessages'), closeModal);
+      const deleteButton = createDeleteButton('bulk-delete-download-confirm', translate('deleteSelectedTooltip'), () => {
+        confirmed = true;
+        closeModal();
+      });
+      deleteButton.querySelector('span').textContent = translate('deleteButton', { count });
+      actions.append(keepButton, deleteButton);
+      dialog.append(text, actions);
+      keepButton.focus(); // Keeping the messages is the safe default
+    });
+  }
+
+  /**
+   * Handles the export actions of the selection bar. When "Delete after export" is
+   * checked, the deletion loop only starts once the file has been written, or, for a
+   * plain download, once the user has confirmed that it was saved.
+   * @param {'markdown'|'json'} format The export format.
+   */
+  async function handleExportClick(format) {
+    if (isBulkDeleting || selectedMessages.size === 0) return;
+    if (isConfirmingBulkDelete) resetBulkDeleteConfirmation();
+    const deleteAfterExport = selectionToolbar?.querySelector('input[name="bulk-delete-after-export"]')?.checked;
+    // Snapshot the selection so changes during the save dialog don't affect what gets deleted
+    const selectedUuids = Array.from(selectedMessages);
+
+    const saved = await exportSelectedMessages(format);
+    if (!saved || !deleteAfterExport) return;
+    if (saved === 'downloaded' && !await confirmDownloadSaved(selectedUuids.length)) return;
+    await runBulkDeletion(selectedUuids);
+  }
+
+  // --- Search ---
+  /**
+   * Builds a predicate that tests a message's text against a search query.
+   * @param {string} query The search text, or a regular expression source if `useRegex` is set.
+   * @param {boolean} useRegex Whether the query is a regular expression.
+   * @returns {function(object): boolean} Case-insensitive matcher for message objects.
+   * @throws {SyntaxError} If `useRegex` is set and the query is not a valid regular expression.
+   */
+  function buildMessageMatcher(query, useRegex) {
+    if (useRegex) {
+      const pattern = new RegExp(query, 'i');
+      return message => pattern.test(getMessageText(message));
+    }
+    const lowerQuery = query.toLowerCase();
+    return message => getMessageText(message).toLowerCase().includes(lowerQuery);
+  }
+
+  /**
+   * Reads the search field of the selection bar and finds the UUIDs of all messages in
+   * the chat that match it, including messages that aren't rendered.
+   * @returns {Promise<?string[]>} The matching UUIDs, or null if the query is empty.
+   * @throws {SyntaxError} If the query is an invalid regular expression.
+   */
+  async function findSearchMatches() {
+    const query = selectionToolbar?.querySelector('input[name="bulk-delete-search"]')?.value ?? '';
+    const useRegex = selectionToolbar?.querySelector('input[name="bulk-delete-search-regex"]')?.checked ?? false;
+    if (query.trim() === '') return null;
+    const matches = buildMessageMatcher(query, useRegex);
+    return (await getAllChatMessages()).filter(matches).map(message => message.uuid);
+  }
+
+  /**
+   * Updates the match count shown next to the search field, debounced while typing.
+   */
+  function scheduleSearchPreview() {
+    clearTimeout(searchPreviewTimer);
+    searchPreviewTimer = setTimeout(async () => {
+      const countLabel = selectionToolbar?.querySelector('[data-search-count]');
+      if (!countLabel) return;
+      try {
+        const uuids = await findSearchMatches();
+        countLabel.textContent = uuids === null ? '' : translatePlural('searchMatches', uuids.length);
+      } catch (error) {
+        countLabel.textContent = translate('invalidRegex');
+      }
+    }, DEBOUNCE_DELAY);
+  }
+
+  /**
+   * Adds all messages matching the search field to the selection, or removes them from it.
+   * @param {boolean} selected True to select the matches, false to deselect them.
+   */
+  async function applySearchSelection(selected) {
+    if (isBulkDeleting) return;
+    let uuids;
+    try {
+      uuids = await findSearchMatches();
+    } catch (error) {
+      scheduleSearchPreview(); // Shows 'Invalid regex'
+      return;
+    }
+    if (!uuids) return;
+    if (isConfirmingBulkDelete) resetBulkDeleteConfirmation();
+    const chatId = getCurrentChatId();
+    const blocksByUuid = getMessageBlocksByUuid();
+    uuids.forEach(uuid => setMessageSelectedByUuid(uuid, selected, blocksByUuid, chatId));
+    updateBulkDeleteButtonUI();
+    announce(translatePlural(selected ? 'matchesSelected' : 'matchesDeselected', uuids.length));
+  }
+
+  // --- Pruning Rules ---
+  /**
+   * Reads the pruning rules from localStorage.
+   * @returns {{global: ?Object, chats: Object<string, Object>}} The global rules and the per-chat rules by chat ID.
+   */
+  function loadPruneRules() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(PRUNE_RULES_STORAGE_KEY));
+      return { global: stored?.global || null, chats: stored?.chats || {} };
+    } catch (error) {
+      console.warn('[BulkDelete] Could not read pruning rules:', error.message);
+      return { global: null, chats: {} };
+    }
+  }
+
+  /**
+   * Stores pruning rules for one chat or for all chats. Passing null removes them.
+   * @param {?string} chatId The chat ID, or null for the global rules.
+   * @param {?Object} rules The rules (see `PRUNE_RULE_FIELDS`).
+   */
+  function savePruneRules(chatId, rules) {
+    const stored = loadPruneRules();
+    if (chatId) {
+      if (rules) stored.chats[chatId] = rules;
+      else delete stored.chats[chatId];
+    } else {
+      stored.global = rules;
+    }
+    try {
+      localStorage.setItem(PRUNE_RULES_STORAGE_KEY, JSON.stringify(stored));
+    } catch (error) {
+      console.error('[BulkDelete] Could not save pruning rules:', error);
+    }
+  }
+
+  /**
+   * Returns the pruning rules that apply to a chat: its own rules if it has any,
+   * the global rules otherwise.
+   * @param {?string} chatId The chat ID.
+   * @returns {?Object} The rules, or null if none apply.
+   */
+  function getEffectivePruneRules(chatId) {
+    const stored = loadPruneRules();
+    return (chatId && stored.chats[chatId]) || stored.global;
+  }
+
+  /**
+   * Tells whether a message holds tool (plugin) output rather than a chat turn.
+   * @param {object} message The message object.
+   * @returns {boolean} True for tool output messages.
+   */
+  function isToolOutputMessage(message) {
+    if (message.role === 'tool' || message.role === 'function') return true;
+    return Array.isArray(message.content) && message.content.some(part => /^tool_?result$/.test(part?.type));
+  }
+
+  /**
+   * Returns the length in characters of a message's content.
+   * @param {object} message The message object.
+   * @returns {number} The content length.
+   */
+  function getMessageLength(message) {
+    const content = message.content;
+    if (typeof content === 'string') return content.length;
+    if (Array.isArray(content)) {
+      // Tool result parts keep their output in `content` rather than `text`
+      return content.reduce((total, part) => total + (typeof part === 'string' ? part : (part?.text ?? JSON.stringify(part?.content ?? ''))).length, 0);
+    }
+    return content ? JSON.stringify(content).length : 0;
+  }
+
+  /**
+   * Applies pruning rules to the messages of a chat.
+   * @param {object[]} messages Every message of the chat, in chat order.
+   * @param {Object} rules The rules (see `PRUNE_RULE_FIELDS`); null or missing values are off.
+   * @returns {Map<string, string>} The reason each message would be removed, keyed by UUID, in chat order.
+   */
+  function findPruneCandidates(messages, rules) {
+    const candidates = new Map();
+    if (!rules) return candidates;
+    const { keepLastMessages, assistantOlderThanTurns, toolOutputOverChars } = rules;
+    let turnsAgo = 0; // The last user message and everything after it is turn 0
+    const turnsAgoByUuid = new Map();
+    for (let i = messages.length - 1; i >= 0; i--) {
+      turnsAgoByUuid.set(messages[i].uuid, turnsAgo);
+      if (messages[i].role === 'user') turnsAgo++;
+    }
+    messages.forEach((message, index) => {
+      if (!message?.uuid) return;
+      if (keepLastMessages != null && index < messages.length - keepLastMessages) {
+        candidates.set(message.uuid, translate('pruneReasonKeepLast', { count: keepLastMessages }));
+      } else if (assistantOlderThanTurns != null && message.role === 'assistant' && turnsAgoByUuid.get(message.uuid) >= assistantOlderThanTurns) {
+        candidates.set(message.uuid, translate('pruneReasonAssistant', { count: assistantOlderThanTurns }));
+      } else if (toolOutputOverChars != null && isToolOutputMessage(message) && getMessageLength(message) > toolOutputOverChars) {
+        candidates.set(message.uuid, translate('pruneReasonToolOutput', { count: toolOutputOverChars }));
+      }
+    });
+    return candidates;
+  }
+
+  /**
+   * Selects the messages of the open chat that its pruning rules would remove, so they
+   * show up highlighted and go through the regular delete button (or are deleted right
+   * away when `deleteNow` is set). Protected messages are left out.
+   * @param {?Object} rules The rules to apply; defaults to the rules of the open chat.
+   * @param {boolean} [deleteNow=false] Start the deletion without the 'Sure?' step.
+   * @returns {Promise<Map<string, string>>} The reason per selected message, keyed by UUID.
+   */
+  async function previewPruning(rules = getEffectivePruneRules(getCurrentChatId()), deleteNow = false) {
+    if (isBulkDeleting || isChatDeleting) return new Map();
+    const candidates = findPruneCandidates(await getAllChatMessages(), rules);
+    getProtectedMessages(getCurrentChatId()).forEach(uuid => candidates.delete(uuid));
+    if (candidates.size === 0) {
+      announce(translate('nothingToPrune'));
+      return candidates;
+    }
+    if (!bulkDeleteEnabled) toggleBulkDeleteMode();
+    if (isConfirmingBulkDelete) resetBulkDeleteConfirmation();
+    const chatId = getCurrentChatId();
+    const blocksByUuid = getMessageBlocksByUuid();
+    candidates.forEach((reason, uuid) => setMessageSelectedByUuid(uuid, true, blocksByUuid, chatId));
+    updateBulkDeleteButtonUI();
+    announce(translatePlural('pruneSelected', candidates.size));
+    if (deleteNow) await runBulkDeletion(Array.from(candidates.keys()));
+    return candidates;
+  }
+
+  /**
+   * Waits until TypingMind has finished generating a reply: no message is still waiting
+   * for its UUID and the chat hasn't changed for `GENERATION_QUIET_MS`.
+   * @returns {Promise<boolean>} True once generation has finished, false if it didn't
+   *     within `GENERATION_MAX_WAIT_MS`.
+   */
+  async function waitForGenerationToFinish() {
+    const deadline = Date.now() + GENERATION_MAX_WAIT_MS;
+    while (Date.now() < deadline) {
+      const settled = await waitForDomSettled(document.querySelector('main') || document.body, GENERATION_QUIET_MS, deadline - Date.now());
+      if (settled && unresolvedBlocks.size === 0) return true;
+      if (unresolvedBlocks.size > 0) await new Promise(resolve => setTimeout(resolve, GENERATION_QUIET_MS));
+    }
+    return false;
+  }
+
+  /**
+   * Checks whether the open chat has crossed the message count threshold of its pruning
+   * rules and, if so, selects (or deletes) what the rules would remove. Fires once per
+   * crossing: the chat has to drop back to the threshold before it fires again. Waits
+   * for a reply that is still being generated first, so a deletion (and the page reload
+   * after it) never cuts a streaming reply short, and does nothing while a deletion runs.
+   * Deleting automatically also waits for the undo window of the last deletion to close,
+   * since a new run would replace its undo snapshot.
+   * @returns {Promise<void>} A promise that resolves once the check is done.
+   */
+  async function checkAutoPrune() {
+    const chatId = getCurrentChatId();
+    const rules = getEffectivePruneRules(chatId);
+    const isBusy = () => isBulkDeleting || isChatDeleting || chatId !== getCurrentChatId();
+    const wouldDropUndo = () => rules.autoDelete === true && isUndoWindowOpen(); // Try again with the next message
+    if (!chatId || rules?.autoThreshold == null || isAutoPruneWaiting || isBusy()) return;
+    let messages = await getAllChatMessages();
+    if (isBusy()) return; // Switched chats (or a deletion started) in the meantime
+    if (messages.length <= rules.autoThreshold) {
+      autoPruneFired.delete(chatId); // Re-arm
+      return;
+    }
+    if (autoPruneFired.has(chatId) || wouldDropUndo()) return;
+
+    isAutoPruneWaiting = true;
+    try {
+      if (!await waitForGenerationToFinish()) return; // Try again with the next message
+    } finally {
+      isAutoPruneWaiting = false;
+    }
+    if (isBusy() || autoPruneFired.has(chatId) || wouldDropUndo()) return;
+    messages = await getAllChatMessages(); // The finished reply may have added messages
+    if (isBusy()) return;
+    autoPruneFired.add(chatId);
+    await previewPruning(rules, rules.autoDelete === true);
+  }
+
+  /**
+   * Opens the pruning rules popover next to an anchor. Rules are edited for the open chat
+   * or for all chats; "Preview" selects what the rules would remove.
+   * @param {HTMLElement} anchor The button that opens the popover.
+   */
+  function openPrunePopover(anchor) {
+    const chatId = getCurrentChatId();
+    const stored = loadPruneRules();
+    const popover = openPopover('bulk-delete-prune-popover', translate('pruneTitle'), anchor);
+
+    // Scope: rules for this chat override the global ones
+    const scopeRow = document.createElement('label');
+    scopeRow.className = 'flex items-center justify-between gap-2';
+    const scopeSelect = document.createElement('select');
+    scopeSelect.name = 'bulk-delete-prune-scope';
+    scopeSelect.className = 'h-7 px-1 rounded-md border border-slate-200 dark:border-white/10 bg-transparent';
+    scopeSelect.innerHTML = `<option value="chat">${translate('pruneScopeChat')}</option><option value="global">${translate('pruneScopeGlobal')}</option>`;
+    scopeSelect.value = chatId && stored.chats[chatId] ? 'chat' : 'global';
+    if (!chatId) scopeSelect.querySelector('option[value="chat"]').disabled = true;
+    const scopeText = document.createElement('span');
+    scopeText.textContent = translate('pruneScope');
+    scopeRow.append(scopeText, scopeSelect);
+    popover.appendChild(scopeRow);
+
+    const inputs = {};
+    PRUNE_RULE_FIELDS.forEach(({ key, labelKey, type }) => {
+      const row = document.createElement('label');
+      row.className = 'flex items-center justify-between gap-2 cursor-pointer';
+      const input = document.createElement('input');
+      input.type = type;
+      input.name = `bulk-delete-prune-${key}`;
+      if (type === 'checkbox') {
+        input.className = 'accent-red-600';
+      } else {
+        input.min = '0';
+        input.placeholder = translate('pruneRuleOff');
+        input.className = 'h-7 w-20 px-2 rounded-md border border-slate-200 dark:border-white/10 bg-transparent text-right focus:outline-none focus:ring-1 focus:ring-blue-500';
+      }
+      const text = document.createElement('span');
+      text.textContent = translate(labelKey);
+      row.append(text, input);
+      popover.appendChild(row);
+      inputs[key] = input;
+    });
+
+    // Show the rules of the chosen scope
+    const fillInputs = () => {
+      const rules = (scopeSelect.value === 'chat' ? stored.chats[chatId] : stored.global) || {};
+      PRUNE_RULE_FIELDS.forEach(({ key, type }) => {
+        if (type === 'checkbox') inputs[key].checked = rules[key] === true;
+        else inputs[key].value = rules[key] == null ? '' : String(rules[key]);
+      });
+    };
+    // Read the rules from the inputs; empty (or invalid) number fields turn a rule off
+    const readInputs = () => {
+      const rules = {};
+      PRUNE_RULE_FIELDS.forEach(({ key, type }) => {
+        if (type === 'checkbox') rules[key] = inputs[key].checked;
+        else rules[key] = inputs[key].valueAsNumber >= 0 ? Math.floor(inputs[key].valueAsNumber) : null;
+      });
+      return rules;
+    };
+    scopeSelect.addEventListener('change', fillInputs);
+    fillInputs();
+
+    const status = document.createElement('div');
+    status.className = 'text-slate-500 dark:text-slate-400';
+    status.setAttribute('aria-live', 'polite');
+    const actions = document.createElement('div');
+    actions.className = 'flex flex-wrap justify-end gap-1 pt-1';
+    actions.append(
+      createSelectionBarButton(translate('save'), () => {
+        const rules = readInputs();
+        savePruneRules(scopeSelect.value === 'chat' ? chatId : null, rules);
+        if (scopeSelect.value === 'chat') stored.chats[chatId] = rules;
+        else stored.global = rules;
+        autoPruneFired.clear(); // Thresholds may have changed
+        status.textContent = translate('saved');
+      }),
+      createSelectionBarButton(translate('clear'), () => {
+        savePruneRules(scopeSelect.value === 'chat' ? chatId : null, null);
+        if (scopeSelect.value === 'chat') delete stored.chats[chatId];
+        else stored.global = null;
+        fillInputs();
+        status.textContent = translate('cleared');
+      }),
+      createSelectionBarButton(translate('preview'), async () => {
+        const candidates = await previewPruning(readInputs());
+        // Summarize by reason; the messages themselves are highlighted in the chat
+        const counts = new Map();
+        candidates.forEach(reason => counts.set(reason, (counts.get(reason) || 0) + 1));
+        status.textContent = candidates.size === 0
+          ? translate('pruneNothingToRemove')
+          : translate('prunePreviewSummary', { count: candidates.size, reasons: Array.from(counts, ([reason, count]) => `${count} × ${reason}`).join('; ') });
+      }),
+    );
+    popover.append(status, actions);
+    scopeSelect.focus();
+  }
+
+  // --- Undo ---
+  /**
+   * Records the messages that are about to be deleted, along with their positions,
+   * in localStorage so they can be restored later. Positions come from the stored
+   * chat record when available and from document order otherwise.
+   * @param {string} chatId The ID of the chat the messages belong to.
+   * @param {string[]} selectedUuids UUIDs of the messages about to be deleted.
+   * @returns {Promise<boolean>} True if a snapshot was saved.
+   */
+  async function saveUndoSnapshot(chatId, selectedUuids) {
+    if (!chatId) {
+      console.warn('[BulkDelete] Could not determine the chat ID; undo will not be available.');
+      return false;
+    }
+    const uuids = new Set(selectedUuids);
+
+    let orderedMessages = null;
+    try {
+      orderedMessages = (await readChatRecord(chatId))?.messages ?? null;
+    } catch (error) {
+      console.warn('[BulkDelete] Could not read the chat record, using on-screen order for undo:', error.message);
+    }
+    if (!Array.isArray(orderedMessages)) {
+      // Fall back to the rendered messages in document order
+      orderedMessages = Array.from(document.querySelectorAll('[data-element-id="response-block"]'))
+        .map(block => findMessageData(block).message)
+        .filter(message => message !== null);
+    }
+
+    const entries = [];
+    orderedMessages.forEach((message, index) => {
+      if (!uuids.has(message.uuid)) return;
+      entries.push({ message, index, previousUuid: index > 0 ? orderedMessages[index - 1].uuid : null });
+    });
+    if (entries.length === 0) return false;
+
+    return writeUndoSnapshot({ chatId, createdAt: Date.now(), expiresAt: null, entries });
+  }
+
+  /**
+   * Reads the undo snapshot from localStorage.
+   * @returns {?{chatId: string, createdAt: number, expiresAt: ?number, restoredAt: ?number, entries: Array<{message: object, index: number, previousUuid: ?string}>}}
+   *     `restoredAt` is set while a restore waits to be checked after the page reload.
+   */
+  function loadUndoSnapshot() {
+    try {
+      return JSON.parse(localStorage.getItem(UNDO_STORAGE_KEY));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Writes the undo snapshot to localStorage.
+   * @param {Object} snapshot The snapshot (see `loadUndoSnapshot`).
+   * @returns {boolean} True if it was written.
+   */
+  function writeUndoSnapshot(snapshot) {
+    try {
+      localStorage.setItem(UNDO_STORAGE_KEY, JSON.stringify(snapshot));
+      return true;
+    } catch (error) {
+      console.warn('[BulkDelete] Could not save undo snapshot:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Tells whether the last bulk deletion can still be undone.
+   * @returns {boolean} True while the undo snapshot is within its undo window.
+   */
+  function isUndoWindowOpen() {
+    const snapshot = loadUndoSnapshot();
+    return Boolean(snapshot?.expiresAt && snapshot.expiresAt > Date.now());
+  }
+
+  /**
+   * Removes the undo snapshot and the 'Undo' button.
+   */
+  function discardUndoSnapshot() {
+    try {
+      localStorage.removeItem(UNDO_STORAGE_KEY);
+    } catch (error) {
+      console.warn('[BulkDelete] Could not remove undo snapshot:', error.message);
+    }
+    clearInterval(undoCountdownTimer);
+    undoCountdownTimer = null;
+    if (undoButton) {
+      undoButton.remove();
+      undoButton = null;
+    }
+  }
+
+  /**
+   * Starts the undo window of a snapshot whose run never finished. Only called on page
+   * load, when no run can be in progress: the page was reloaded in the middle of a run.
+   * Restoring skips the messages that weren't deleted.
+   */
+  function resumeInterruptedUndoSnapshot() {
+    const snapshot = loadUndoSnapshot();
+    if (!snapshot || snapshot.expiresAt) return;
+    snapshot.expiresAt = Date.now() + getSettings().undoWindowMs;
+    writeUndoSnapshot(snapshot);
+  }
+
+  /**
+   * Limits the undo snapshot to the messages that were actually deleted and starts
+   * the undo window. The 'Undo' button appears once the run is over.
+   * @param {string[]} deletedUuids UUIDs of the messages that were deleted.
+   */
+  function finalizeUndoSnapshot(deletedUuids) {
+    const snapshot = loadUndoSnapshot();
+    if (!snapshot) return;
+    const deleted = new Set(deletedUuids);
+    snapshot.entries = snapshot.entries.filter(entry => deleted.has(entry.message.uuid));
+    if (snapshot.entries.length === 0) {
+      discardUndoSnapshot();
+      return;
+    }
+    snapshot.expiresAt = Date.now() + getSettings().undoWindowMs;
+    writeUndoSnapshot(snapshot);
+  }
+
+  /**
+   * Re-inserts snapshot entries into a message list. Each message goes back after the
+   * message that preceded it originally, or at its original index if that message is
+   * gone. Messages that are already present are left alone.
+   * @param {object[]} messages The current messages of the chat.
+   * @param {Array<{message: object, index: number, previousUuid: ?string}>} entries The snapshot entries.
+   * @returns {object[]} A new array with the messages restored.
+   */
+  function insertMessagesAtOriginalPositions(messages, entries) {
+    const result = messages.slice();
+    const presentUuids = new Set(result.map(message => message.uuid));
+    // Ascending order so a restored message can serve as the predecessor of the next one
+    entries.slice().sort((a, b) => a.index - b.index).forEach(({ message, index, previousUuid }) => {
+      if (presentUuids.has(message.uuid)) return;
+      let insertAt = 0;
+      if (previousUuid !== null) {
+        const previousIndex = result.findIndex(m => m.uuid === previousUuid);
+        insertAt = previousIndex !== -1 ? previousIndex + 1 : Math.min(index, result.length); // Predecessor gone
+      }
+      result.splice(insertAt, 0, message);
+      presentUuids.add(message.uuid);
+    });
+    return result;
+  }
+
+  /**
+   * Restores the messages from the undo snapshot into the stored chat record and
+   * reloads the chat right away, so TypingMind's in-memory copy can't be written over
+   * them. The snapshot is kept until `verifyRestoredUndoSnapshot` has checked the record
+   * after the reload.
+   */
+  async function restoreUndoSnapshot() {
+    const snapshot = loadUndoSnapshot();
+    if (!snapshot || isBulkDeleting) return;
+    if (undoButton) undoButton.disabled = true;
+    try {
+      await updateChatRecord(snapshot.chatId, chat => ({
+        ...chat,
+        messages: insertMessagesAtOriginalPositions(chat.messages || [], snapshot.entries),
+      }));
+      if (!writeUndoSnapshot({ ...snapshot, restoredAt: Date.now() })) discardUndoSnapshot();
+      refreshChatView();
+    } catch (error) {
+      console.error('[BulkDelete] Error restoring deleted messages:', error);
+      if (undoButton) {
+        undoButton.disabled = false;
+        undoButton.querySelector('span').textContent = translate('undoFailed');
+      }
+    }
+  }
+
+  /**
+   * Checks, after the reload that follows an undo, that the restored messages are in the
+   * stored chat record. If TypingMind wrote its in-memory copy back before the reload,
+   * the missing messages are offered for undo again, with a fresh undo window.
+   * @returns {Promise<void>} A promise that resolves once the check is done.
+   */
+  async function verifyRestoredUndoSnapshot() {
+    const snapshot = loadUndoSnapshot();
+    if (!snapshot?.restoredAt) return;
+    let missingEntries = [];
+    try {
+      const record = await readChatRecord(snapshot.chatId);
+      const storedUuids = new Set((record?.messages || []).map(message => message.uuid));
+      missingEntries = snapshot.entries.filter(entry => !storedUuids.has(entry.message.uuid));
+    } catch (error) {
+      console.warn('[BulkDelete] Could not check the restored messages:', error.message);
+    }
+    if (missingEntries.length === 0) {
+      discardUndoSnapshot();
+      return;
+    }
+    console.warn(`[BulkDelete] ${missingEntries.length} restored message(s) were written over by TypingMind before the reload.`);
+    delete snapshot.restoredAt;
+    writeUndoSnapshot({ ...snapshot, entries: missingEntries, expiresAt: Date.now() + getSettings().undoWindowMs });
+    announce(translatePlural('undoWrittenOver', missingEntries.length));
+    ensureUndoButtonExists();
+  }
+
+  // --- Audit Log ---
+  /**
+   * @typedef {Object} AuditLogEntry
+   * @property {string} timestamp When the run ended (ISO 8601).
+   * @property {string} type 'message' (a message of a chat) or 'chat' (a whole chat from the chat list).
+   * @property {?string} chatId The chat the messages were deleted from, or the deleted chat.
+   * @property {string} chatTitle The chat's title at the time of the run.
+   * @property {string} method 'store' (data store transaction) or 'ui' (UI simulation).
+   * @property {?string} uuid The message UUID; null for chats.
+   * @property {?string} role The message role ('user', 'assistant', ...; 'unknown' if the message data wasn't found); null for chats.
+   * @property {string} snippet The start of the message text (see `getMessageSnippet`); empty for chats.
+   * @property {string} result 'deleted', 'failed' or 'skipped' (not processed after a cancel).
+   * @property {?string} error Why the deletion failed, for failed messages and chats.
+   */
+
+  /**
+   * Reads the deletion log from localStorage. Each message run is stored as
+   * `{timestamp, chatId, chatTitle, method, cancelled, messages: [{uuid, role, snippet, result, error}]}`,
+   * each chat list run as `{timestamp, type: 'chat', method, cancelled, chats: [{chatId, chatTitle, result, error}]}`.
+   * @returns {Object[]} The logged runs, oldest first; empty if there are none or the log can't be read.
+   */
+  function loadAuditLog() {
+    try {
+      const runs = JSON.parse(localStorage.getItem(AUDIT_LOG_STORAGE_KEY) || '[]');
+      return Array.isArray(runs) ? runs : [];
+    } catch (error) {
+      console.warn('[BulkDelete] Could not read the deletion log:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Writes the deletion log, keeping the newest `AUDIT_LOG_MAX_RUNS` runs. If storage is
+   * full, older runs are dropped until the log fits.
+   * @param {Object[]} runs The runs to keep, oldest first.
+   */
+  function saveAuditLog(runs) {
+    let kept = runs.slice(-AUDIT_LOG_MAX_RUNS);
+    while (true) {
+      try {
+        if (kept.length === 0) {
+          localStorage.removeItem(AUDIT_LOG_STORAGE_KEY);
+        } else {
+          localStorage.setItem(AUDIT_LOG_STORAGE_KEY, JSON.stringify(kept));
+        }
+        return;
+      } catch (error) {
+        if (kept.length <= 1) {
+          console.error('[BulkDelete] Could not save the deletion log:', error);
+          return;
+        }
+        kept = kept.slice(1); // Drop the oldest run and try again
+      }
+    }
+  }
+
+  /**
+   * Collects what the deletion log needs to know about messages before they are deleted:
+   * the chat title and each message's role and text, in chat order.
+   * @param {?string} chatId The ID of the open chat.
+   * @param {string[]} uuids UUIDs of the messages about to be deleted.
+   * @returns {Promise<{chatTitle: string, messages: Array<{uuid: string, message: ?object}>}>} The details.
+   */
+  async function captureAuditDetails(chatId, uuids) {
+    let chatTitle = '';
+    try {
+      chatTitle = chatId ? (await readChatRecord(chatId))?.chatTitle || '' : '';
+    } catch (error) { /* Fall back to the sidebar or the page title */ }
+    if (!chatTitle) chatTitle = document.querySelector(`[data-chat-id="${chatId}"]`)?.textContent.trim() || document.title;
+
+    const wanted = new Set(uuids);
+    const found = (await getAllChatMessages()).filter(message => wanted.has(message.uuid));
+    const foundUuids = new Set(found.map(message => message.uuid));
+    return {
+      chatTitle,
+      messages: found.map(message => ({ uuid: message.uuid, message }))
+        .concat(uuids.filter(uuid => !foundUuids.has(uuid)).map(uuid => ({ uuid, message: null }))),
+    };
+  }
+
+  /**
+   * Appends a finished bulk run to the deletion log.
+   * @param {DeletionReport} report The run's result.
+   * @param {{chatTitle: string, messages: Array<{uuid: string, message: ?object}>}} details
+   *     The details captured by `captureAuditDetails` before the run.
+   */
+  function recordAuditRun(report, details) {
+    const deleted = new Set(report.deleted);
+    const failures = new Map(report.failed.map(failure => [failure.uuid, failure.error]));
+    const runs = loadAuditLog();
+    runs.push({
+      timestamp: new Date().toISOString(),
+      chatId: report.chatId,
+      chatTitle: details.chatTitle,
+      method: report.method,
+      cancelled: report.cancelled,
+      messages: details.messages.map(({ uuid, message }) => ({
+        uuid,
+        role: message?.role || 'unknown',
+        snippet: message ? getMessageSnippet(message) : '',
+        result: deleted.has(uuid) ? 'deleted' : failures.has(uuid) ? 'failed' : 'skipped',
+        error: failures.get(uuid) || null,
+      })),
+    });
+    saveAuditLog(runs);
+  }
+
+  /**
+   * Appends a finished chat list run to the deletion log, one entry per chat.
+   * @param {string[]} chatIds IDs of the chats the run was started for.
+   * @param {Map<string, string>} chatTitles The chats' titles, captured before the run.
+   * @param {Map<string, string>} failures Why each chat that couldn't be deleted failed, keyed by chat ID.
+   */
+  function recordChatAuditRun(chatIds, chatTitles, failures) {
+    const runs = loadAuditLog();
+    runs.push({
+      timestamp: new Date().toISOString(),
+      type: 'chat',
+      method: 'ui',
+      cancelled: false,
+      chats: chatIds.map(chatId => ({
+        chatId,
+        chatTitle: chatTitles.get(chatId) || '',
+        result: failures.has(chatId) ? 'failed' : 'deleted',
+        error: failures.get(chatId) || null,
+      })),
+    });
+    saveAuditLog(runs);
+  }
+
+  /**
+   * Flattens the deletion log into one entry per message or chat, newest run first.
+   * @returns {AuditLogEntry[]} The entries.
+   */
+  function getAuditLogEntries() {
+    return loadAuditLog().reverse().flatMap(run => run.type === 'chat'
+      ? (run.chats || []).map(chat => ({
+        timestamp: run.timestamp,
+        type: 'chat',
+        method: run.method,
+        uuid: null,
+        role: null,
+        snippet: '',
+        ...chat,
+      }))
+      : (run.messages || []).map(message => ({
+        timestamp: run.timestamp,
+        type: 'message',
+        chatId: run.chatId,
+        chatTitle: run.chatTitle,
+        method: run.method,
+        ...message,
+      })));
+  }
+
+  /**
+   * Formats deletion log entries as CSV (RFC 4180), with a header row. Cells starting with
+   * `=`, `+`, `-`, `@`, a tab or a carriage return get a leading `'`: snippets and titles
+   * are user or model text, and spreadsheets would run them as formulas otherwise.
+   * @param {AuditLogEntry[]} entries The entries.
+   * @returns {string} The CSV document.
+   */
+  function formatAuditLogAsCsv(entries) {
+    const columns = ['timestamp', 'type', 'chatId', 'chatTitle', 'method', 'uuid', 'role', 'result', 'error', 'snippet'];
+    const escape = value => {
+      let text = value == null ? '' : String(value);
+      if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(',')]
+      .concat(entries.map(entry => columns.map(column => escape(entry[column])).join(',')))
+      .join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Returns the display name of a deletion log result ('deleted', 'failed' or 'skipped')
+   * in the active language.
+   * @param {string} result The result.
+   * @returns {string} The display name.
+   */
+  function translateResult(result) {
+    return translate(`result${result.charAt(0).toUpperCase()}${result.slice(1)}`);
+  }
+
+  /**
+   * Opens the deletion log viewer: every logged message with its time, chat, role, snippet
+   * and result, and every chat deleted from the chat list. The list can be filtered by
+   * text and result; the filtered entries can be exported as CSV or JSON, and the whole
+   * log can be cleared (with a 'Sure?' step).
+   */
+  function openAuditLogViewer() {
+    closePopover();
+    const dialog = openModal('bulk-delete-audit-log-dialog', translate('auditLogTitle'));
+
+    const filters = document.createElement('div');
+    filters.className = 'flex gap-2 px-4 pt-2 pb-1';
+    const searchInput = document.createElement('input');
+    searchInput.type = 'search';
+    searchInput.name = 'bulk-delete-audit-filter';
+    searchInput.placeholder = translate('auditFilterPlaceholder');
+    searchInput.setAttribute('aria-label', translate('auditFilterLabel'));
+    searchInput.className = 'flex-1 h-7 px-2 rounded-md border border-slate-200 dark:border-white/10 bg-transparent text-xs focus:outline-none focus:ring-1 focus:ring-blue-500';
+    const resultSelect = document.createElement('select');
+    resultSelect.name = 'bulk-delete-audit-result';
+    resultSelect.setAttribute('aria-label', translate('auditResultLabel'));
+    resultSelect.className = 'h-7 px-1 rounded-md border border-slate-200 dark:border-white/10 bg-transparent text-xs';
+    resultSelect.innerHTML = `<option value="">${translate('auditAllResults')}</option>` +
+      ['deleted', 'failed', 'skipped'].map(result => `<option value="${result}">${translateResult(result)}</option>`).join('');
+    filters.append(searchInput, resultSelect);
+
+    const summary = document.createElement('div');
+    summary.className = 'px-4 pb-2 text-xs text-slate-500 dark:text-slate-400';
+    summary.setAttribute('aria-live', 'polite');
+    const list = document.createElement('ul');
+    list.className = 'flex-1 overflow-y-auto px-4 py-2 border-y border-slate-200 dark:border-white/10 space-y-2 text-xs';
+
+    let entries = [];
+    /** Applies the filters and redraws the list. */
+    function render() {
+      const query = searchInput.value.trim().toLowerCase();
+      const allEntries = getAuditLogEntries();
+      entries = allEntries.filter(entry => (!resultSelect.value || entry.result === resultSelect.value) &&
+        (!query || [entry.chatTitle, entry.chatId, entry.uuid, entry.role, entry.snippet, entry.error]
+          .some(value => value && String(value).toLowerCase().includes(query))));
+      list.replaceChildren(...entries.map(entry => {
+        const item = document.createElement('li');
+        const heading = document.createElement('div');
+        heading.className = `font-semibold ${entry.result === 'deleted' ? '' : 'text-amber-600'}`;
+        const kind = entry.type === 'chat' ? translate('auditWholeChat') : translateRole(entry.role);
+        heading.textContent = `${new Date(entry.timestamp).toLocaleString()} · ${entry.chatTitle || entry.chatId || translate('unknownChat')} · ${kind} · ${translateResult(entry.result)}`;
+        const snippet = document.createElement('div');
+        snippet.className = 'truncate text-slate-500 dark:text-slate-400';
+        const detail = entry.snippet || entry.uuid || entry.chatId;
+        snippet.textContent = entry.error ? `${entry.error} — ${detail}` : detail;
+        item.title = entry.uuid || entry.chatId;
+        item.append(heading, snippet);
+        return item;
+      }));
+      summary.textContent = allEntries.length === 0
+        ? translate('auditLogEmpty')
+        : translatePlural('auditLogCount', allEntries.length, { shown: entries.length });
+      csvButton.disabled = jsonButton.disabled = entries.length === 0;
+      clearButton.disabled = allEntries.length === 0;
+    }
+    searchInput.addEventListener('input', render);
+    resultSelect.addEventListener('change', render);
+
+    /**
+     * Saves the filtered entries to a file; a failure is shown in the summary line.
+     * @param {function(AuditLogEntry[]): string} format Formats the entries.
+     * @param {string} extension The file extension.
+     * @param {string} mimeType The MIME type of the file.
+     */
+    async function exportEntries(format, extension, mimeType) {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+      try {
+        await saveFile(format(entries), `typingmind-deletion-log-${timestamp}.${extension}`, mimeType);
+      } catch (error) {
+        console.error('[BulkDelete] Error exporting the deletion log:', error);
+        summary.textContent = translate('auditExportFailed', { error: error.message });
+      }
+    }
+    const csvButton = createSelectionBarButton(translate('exportCsv'), () => exportEntries(formatAuditLogAsCsv, 'csv', 'text/csv'));
+    const jsonButton = createSelectionBarButton(translate('exportJsonLog'), () => exportEntries(
+      selected => JSON.stringify(selected, null, 2), 'json', 'application/json'));
+    // Clearing takes a second click within the confirmation window
+    let clearConfirmTimer = null;
+    const clearButton = createSelectionBarButton(translate('clearLog'), () => {
+      if (!clearConfirmTimer) {
+        clearButton.textContent = translate('confirm');
+        clearConfirmTimer = setTimeout(() => {
+          clearConfirmTimer = null;
+          clearButton.textContent = translate('clearLog');
+        }, getSettings().confirmWindowMs);
+        return;
+      }
+      clearTimeout(clearConfirmTimer);
+      clearConfirmTimer = null;
+      clearButton.textContent = translate('clearLog');
+      saveAuditLog([]);
+      render();
+    });
+    const actions = document.createElement('div');
+    actions.className = 'flex flex-wrap justify-end gap-2 p-3';
+    actions.append(csvButton, jsonButton, clearButton, createSelectionBarButton(translate('close'), closeModal));
+
+    dialog.append(filters, summary, list, actions);
+    render();
+    searchInput.focus();
+  }
+
+  // --- Diagnostics ---
+  /**
+   * @typedef {Object} DiagnosticCheck
+   * @property {string} label What was checked (including the selector, if any).
+   * @property {string} status 'pass', 'fail', 'warn' (works with limitations) or 'skip'.
+   * @property {string} detail What was found.
+   */
+
+  /**
+   * @typedef {Object} DiagnosticsReport
+   * @property {string} timestamp When the checks ran (ISO 8601).
+   * @property {boolean} dryRun Whether a message was walked through the menu flow.
+   * @property {DiagnosticCheck[]} checks The results, in the order they ran.
+   * @property {number} failed Number of failed checks.
+   * @property {string} text Plain-text report for bug reports (see `formatDiagnosticsReport`).
+   */
+
+  /**
+   * Checks the selectors and React Fiber lookups the extension relies on against the
+   * current page. With `dryRun`, one message is also walked through the menu flow
+   * (More Actions -> Delete -> 'Sure?') without confirming, so nothing is deleted.
+   * @param {boolean} [dryRun=true] Whether to walk a message through the menu flow.
+   * @returns {Promise<DiagnosticsReport>} The report; also kept in `lastDiagnosticsReport`.
+   */
+  async function runDiagnostics(dryRun = true) {
+    if (isBulkDeleting || isChatDeleting || isRunningDiagnostics) {
+      throw new Error(`[BulkDelete] ${translate('diagnosticsBusy')}`);
+    }
+    const checks = [];
+    const addCheck = (label, status, detail) => checks.push({ label, status, detail });
+    const headerAnchor = document.querySelector(HEADER_ANCHOR_SELECTOR);
+    addCheck(translate('diagHeaderAnchor', { selector: HEADER_ANCHOR_SELECTOR }), headerAnchor ? 'pass' : 'fail',
+      translate(!headerAnchor ? 'diagHeaderAnchorMissing' : toggleButton?.isConnected ? 'diagToggleShown' : 'diagToggleMissing'));
+    const toolbar = document.querySelector(TOOLBAR_SELECTOR);
+    addCheck(translate('diagToolbar', { selector: TOOLBAR_SELECTOR }), toolbar ? 'pass' : 'fail',
+      translate(toolbar ? 'diagFound' : 'diagToolbarMissing'));
+
+    const blocks = Array.from(document.querySelectorAll('[data-element-id="response-block"]'));
+    const resolvedBlocks = blocks.filter(block => block.dataset.messageUuid || findMessageData(block).message?.uuid);
+    const blocksLabel = translate('diagMessageBlocks', { selector: '[data-element-id="response-block"]' });
+    if (blocks.length === 0) {
+      addCheck(blocksLabel, 'warn', translate('diagNoMessages'));
+    } else {
+      addCheck(blocksLabel, 'pass', translate('diagMessagesFound', { count: blocks.length }));
+      const hasFiber = blocks.some(block => Object.keys(block).some(key => key.startsWith('__reactFiber')));
+      addCheck(translate('diagMessageData'), resolvedBlocks.length === blocks.length ? 'pass' : resolvedBlocks.length > 0 ? 'warn' : 'fail',
+        hasFiber ? translate('diagUuidsFound', { found: resolvedBlocks.length, total: blocks.length }) : translate('diagNoFiber'));
+      const withHoverMenu = blocks.filter(block => block.querySelector(HOVER_MENU_SELECTOR)).length;
+      addCheck(translate('diagHoverMenu', { selector: HOVER_MENU_SELECTOR }), withHoverMenu > 0 ? 'pass' : 'warn',
+        translate(withHoverMenu > 0 ? 'diagFoundInMessages' : 'diagHoverMenuMissing', { found: withHoverMenu, total: blocks.length }));
+      const withMenuButton = blocks.filter(block => block.querySelector(MESSAGE_MENU_BUTTON_SELECTOR)).length;
+      addCheck(translate('diagMenuButton', { selector: MESSAGE_MENU_BUTTON_SELECTOR }), withMenuButton > 0 ? 'pass' : 'fail',
+        translate('diagFoundInMessages', { found: withMenuButton, total: blocks.length }));
+    }
+
+    const chatId = getCurrentChatId();
+    const dataStoreLabel = translate('diagDataStore', { store: `${CHAT_DB_NAME} / ${CHAT_KEY_PREFIX}<id>` });
+    try {
+      const record = chatId ? await readChatRecord(chatId) : null;
+      addCheck(dataStoreLabel, Array.isArray(record?.messages) ? 'pass' : 'warn', Array.isArray(record?.messages)
+        ? translate('diagChatRecord', { count: record.messages.length })
+        : translate(chatId ? 'diagNoChatRecord' : 'diagNoChatOpen'));
+    } catch (error) {
+      addCheck(dataStoreLabel, 'warn', translate('diagDataStoreError', { error: error.message.replace(/^\[BulkDelete\] /, '') }));
+    }
+
+    const chatItems = Array.from(document.querySelectorAll(CHAT_ITEM_SELECTOR));
+    const resolvedChats = chatItems.filter(item => getChatItemId(item) !== null).length;
+    addCheck(translate('diagChatEntries', { selector: CHAT_ITEM_SELECTOR }), chatItems.length === 0 ? 'warn' : resolvedChats > 0 ? 'pass' : 'fail', chatItems.length === 0
+      ? translate('diagNoChatEntries')
+      : translate('diagChatIdsFound', { found: resolvedChats, total: chatItems.length }));
+
+    const menuFlowLabel = translate('diagMenuFlow', { selector: OPEN_MENU_SELECTOR });
+    const sampleBlock = resolvedBlocks[resolvedBlocks.length - 1];
+    if (!dryRun) {
+      addCheck(menuFlowLabel, 'skip', translate('diagNotRun'));
+    } else if (!sampleBlock) {
+      addCheck(menuFlowLabel, 'skip', translate('diagNoSampleMessage'));
+    } else {
+      const sampleUuid = sampleBlock.dataset.messageUuid || findMessageData(sampleBlock).message.uuid;
+      isRunningDiagnostics = true;
+      let result;
+      try {
+        result = await deleteMessageViaUI(sampleBlock, sampleUuid, {}, true);
+      } finally {
+        isRunningDiagnostics = false;
+      }
+      addCheck(menuFlowLabel, result.success ? 'pass' : 'fail', result.success
+        ? translate('diagMenuFlowPassed', { uuid: sampleUuid })
+        : result.error);
+    }
+
+    const report = {
+      timestamp: new Date().toISOString(),
+      dryRun,
+      checks,
+      failed: checks.filter(check => check.status === 'fail').length,
+      text: '',
+    };
+    report.text = formatDiagnosticsReport(report);
+    lastDiagnosticsReport = report;
+    updateToggleButtonVisualState(); // Show or clear the warning badge
+    return report;
+  }
+
+  /**
+   * Formats a diagnostics report as plain text for bug reports. Includes the page (without
+   * the chat ID), browser and language, but no message content.
+   * @param {DiagnosticsReport} report The report.
+   * @returns {string} The text.
+   */
+  function formatDiagnosticsReport(report) {
+    const count = status => report.checks.filter(check => check.status === status).length;
+    return [
+      translate('diagReportTitle'),
+      translate('diagReportTime', { value: report.timestamp }),
+      translate('diagReportPage', { value: `${location.origin}${location.pathname}` }),
+      translate('diagReportBrowser', { value: navigator.userAgent }),
+      translate('diagReportLanguage', { value: getActiveLocale() }),
+      translate('diagReportResult', { passed: count('pass'), failed: count('fail'), warnings: count('warn'), skipped: count('skip') }),
+      '',
+      ...report.checks.map(check => `[${check.status.toUpperCase()}] ${check.label}: ${check.detail}`),
+    ].join('\n');
+  }
+
+  /**
+   * Opens the diagnostics dialog and runs the full diagnostics (including the menu flow
+   * dry run). Shows each check's result and the plain-text report with a copy button.
+   * @returns {Promise<void>} A promise that resolves once the results are shown.
+   */
+  async function openDiagnosticsDialog() {
+    closePopover();
+    const dialog = openModal('bulk-delete-diagnostics-dialog', translate('diagnosticsTitle'));
+    const status = document.createElement('div');
+    status.className = 'px-4 pt-1 pb-2 text-xs text-slate-500 dark:text-slate-400';
+    status.setAttribute('aria-live', 'polite');
+    status.textContent = translate('diagnosticsRunning');
+    const list = document.createElement('ul');
+    list.className = 'flex-1 overflow-y-auto px-4 py-2 border-y border-slate-200 dark:border-white/10 space-y-1 text-xs';
+    const reportText = document.createElement('textarea');
+    reportText.readOnly = true;
+    reportText.rows = 6;
+    reportText.setAttribute('aria-label', translate('diagnosticsReport'));
+    reportText.className = 'mx-4 mt-2 p-2 rounded-md border border-slate-200 dark:border-white/10 bg-transparent font-mono text-[11px]';
+    const copyButton = createSelectionBarButton(translate('copyReport'), async () => {
+      try {
+        await navigator.clipboard.writeText(reportText.value);
+        copyButton.textContent = translate('copied');
+      } catch (error) {
+        reportText.select(); // Let the user copy it by hand
+      }
+    });
+    copyButton.disabled = true;
+    const actions = document.createElement('div');
+    actions.className = 'flex justify-end gap-2 p-3';
+    actions.append(copyButton, createSelectionBarButton(translate('close'), closeModal));
+    dialog.append(status, list, reportText, actions);
+
+    let report;
+    try {
+      report = await runDiagnostics(true);
+    } catch (error) {
+      status.textContent = error.message.replace(/^\[BulkDelete\] /, '');
+      return;
+    }
+    if (!dialog.isConnected) return; // Closed in the meantime
+    const colors = { pass: 'text-green-600', fail: 'text-red-600', warn: 'text-amber-600', skip: 'text-slate-500' };
+    list.replaceChildren(...report.checks.map(check => {
+      const item = document.createElement('li');
+      const badge = document.createElement('span');
+      badge.className = `font-semibold ${colors[check.status]}`;
+      badge.textContent = check.status.toUpperCase();
+      item.append(badge, ` ${check.label}: ${check.detail}`);
+      return item;
+    }));
+    status.textContent = report.failed > 0
+      ? translatePlural('diagnosticsFailed', report.failed)
+      : translate('diagnosticsPassed');
+    reportText.value = report.text;
+    copyButton.disabled = false;
+    copyButton.focus();
+  }
+
+  // --- Protected Messages ---
+  /**
+   * Reads the protected messages from localStorage.
+   * @returns {Map<string, Set<string>>} The UUIDs of the protected messages, keyed by chat ID.
+   */
+  function loadProtectedMessages() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(PROTECTED_STORAGE_KEY)) || {};
+      return new Map(Object.entries(stored).map(([chatId, uuids]) => [chatId, new Set(uuids)]));
+    } catch (error) {
+      console.warn('[BulkDelete] Could not read protected messages:', error.message);
+      return new Map();
+    }
+  }
+
+  /**
+   * Returns the protected messages of a chat.
+   * @param {?string} chatId The chat ID.
+   * @returns {Set<string>} The UUIDs of the chat's protected messages (empty if it has none).
+   */
+  function getProtectedMessages(chatId) {
+    if (!protectedMessages) protectedMessages = loadProtectedMessages();
+    return (chatId && protectedMessages.get(chatId)) || new Set();
+  }
+
+  /**
+   * Checks whether a message is protected from bulk deletion.
+   * @param {string} messageUuid The UUID of the message.
+   * @param {?string} [chatId] The chat the message belongs to; defaults to the open chat.
+   * @returns {boolean} True if the message is protected.
+   */
+  function isMessageProtected(messageUuid, chatId = getCurrentChatId()) {
+    return getProtectedMessages(chatId).has(messageUuid);
+  }
+
+  /**
+   * Protects a message from bulk deletion, or lifts its protection, and stores the change.
+   * A message that becomes protected is deselected. Updates the lock indicator if the
+   * message is shown in bulk delete mode.
+   * @param {string} messageUuid The UUID of the message.
+   * @param {boolean} isProtected Whether the message should be protected.
+   * @param {?string} [chatId] The chat the message belongs to; defaults to the open chat.
+   * @returns {boolean} False if there is no chat ID to store the protection under (unsaved chat).
+   */
+  function setMessageProtected(messageUuid, isProtected, chatId = getCurrentChatId()) {
+    if (!chatId) return false;
+    const uuids = getProtectedMessages(chatId);
+    if (isProtected) uuids.add(messageUuid);
+    else uuids.delete(messageUuid);
+    if (uuids.size > 0) protectedMessages.set(chatId, uuids);
+    else protectedMessages.delete(chatId);
+    try {
+      const stored = Object.fromEntries(Array.from(protectedMessages, ([id, chatUuids]) => [id, Array.from(chatUuids)]));
+      localStorage.setItem(PROTECTED_STORAGE_KEY, JSON.stringify(stored));
+    } catch (error) {
+      console.error('[BulkDelete] Could not save protected messages:', error);
+    }
+    if (chatId !== getCurrentChatId()) return true;
+
+    if (isProtected && selectedMessages.has(messageUuid)) {
+      if (isConfirmingBulkDelete) resetBulkDeleteConfirmation(); // Selection changes, cancel confirmation
+      setMessageSelectedByUuid(messageUuid, false, undefined, chatId);
+      updateBulkDeleteButtonUI();
+    }
+    const block = document.querySelector(`[data-element-id="response-block"][data-bulk-delete-enabled="true"][data-message-uuid="${messageUuid}"]`);
+    if (block) applyMessageHighlight(block, messageUuid, chatId);
+    return true;
+  }
+
+  /**
+   * Shows or removes the lock badge in the corner of a message block.
+   * @param {HTMLElement} block The message block DOM element.
+   * @param {boolean} isProtected Whether the message is protected.
+   */
+  function setLockIndicator(block, isProtected) {
+    const lock = block.querySelector(':scope > [data-bulk-delete-lock]');
+    if (!isProtected) {
+      lock?.remove();
+      return;
+    }
+    if (lock) return;
+    const badge = document.createElement('span');
+    badge.dataset.bulkDeleteLock = '';
+    badge.className = 'absolute top-1 right-1 z-10 inline-flex items-center gap-1 px-1.5 h-5 rounded bg-amber-100 dark:bg-amber-500/20 text-amber-800 dark:text-amber-300 text-[11px] font-semibold pointer-events-none select-none';
+    badge.innerHTML = `<svg class="w-3 h-3" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><rect x="3" y="7" width="10" height="7" rx="1.5"></rect><path d="M5.5 7V5a2.5 2.5 0 0 1 5 0v2"></path></svg>${translate('protectedBadge')}`;
+    block.appendChild(badge);
+  }
+
+  // --- Core Bulk Delete Logic ---
+  /**
+   * Makes `selectedMessages` and `failedMessages` follow the open chat. When the chat
+   * changes, the selection of the chat being left is kept in `savedSelections` and the
+   * selection saved for the new chat (if any) is restored. Does nothing during a deletion run.
+   */
+  function syncSelectionWithCurrentChat() {
+    if (isBulkDeleting) return;
+    const chatId = getCurrentChatId();
+    if (chatId === selectionChatId) return;
+    if (isConfirmingBulkDelete) resetBulkDeleteConfirmation();
+
+    // Keep the selection of the chat being left, if there is one
+    if (selectionChatId && selectedMessages.size > 0) {
+      savedSelections.set(selectionChatId, { selected: selectedMessages, failed: failedMessages });
+    }
+    const saved = chatId ? savedSelections.get(chatId) : null;
+    if (chatId) savedSelections.delete(chatId);
+    selectedMessages = saved?.selected || new Set();
+    failedMessages = saved?.failed || new Map();
+    selectionChatId = chatId;
+    selectionAnchorUuid = null;
+    focusedMessageUuid = null;
+    lastAnnouncedSelectionCount = null;
+    if (saved) dropMissingSelections(chatId);
+  }
+
+  /**
+   * Removes UUIDs of messages that no longer exist (e.g. deleted elsewhere while the
+   * user was in another chat) from a restored selection. Checks the stored chat record
+   * and the rendered messages; if the record can't be read, the selection is left alone.
+   * @param {string} chatId The ID of the chat the selection belongs to.
+   * @returns {Promise<void>} A promise that resolves once the selection has been checked.
+   */
+  async function dropMissingSelections(chatId) {
+    let record = null;
+    try {
+      record = await readChatRecord(chatId);
+    } catch (error) {
+      return; // Can't tell which messages still exist
+    }
+    // The user may have switched chats (or started a run) in the meantime
+    if (!Array.isArray(record?.messages) || chatId !== selectionChatId || isBulkDeleting) return;
+    const existingUuids = new Set(record.messages.map(message => message.uuid));
+    document.querySelectorAll('[data-element-id="response-block"][data-message-uuid]').forEach(block => {
+      existingUuids.add(block.dataset.messageUuid);
+    });
+    const missingUuids = Array.from(selectedMessages).filter(uuid => !existingUuids.has(uuid));
+    if (missingUuids.length === 0) return;
+    missingUuids.forEach(uuid => {
+      selectedMessages.delete(uuid);
+      failedMessages.delete(uuid);
+    });
+    updateBulkDeleteButtonUI();
+  }
+
+  /**
+   * Looks up the rendered message blocks for the given UUIDs, skipping any that
+   * aren't in the DOM, and sorts them by document order.
+   * @param {string[]} uuids The message UUIDs.
+   * @returns {HTMLElement[]} The message block elements in document order.
+   */
+  function getMessageElementsInOrder(uuids) {
+    return uuids
+      .map(uuid => document.querySelector(`[data-element-id="response-block"][data-message-uuid="${uuid}"]`))
+      .filter(el => el !== null)
+      .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1);
+  }
+
+  /**
+   * Sets the selection state of a single message block, keeping `selectedMessages`
+   * and the block's highlight in sync. Protected messages can't be selected. Does not
+   * update the delete button.
+   * @param {HTMLElement} block The message block DOM element.
+   * @param {string} messageUuid The UUID of the message.
+   * @param {boolean} selected Whether the message should be selected.
+   * @param {?string} [chatId] The open chat's ID; defaults to `getCurrentChatId()`. Callers
+   *     that handle many messages resolve it once and pass it in.
+   */
+  function setMessageSelected(block, messageUuid, selected, chatId = getCurrentChatId()) {
+    if (selected && isMessageProtected(messageUuid, chatId)) return;
+    if (selected) {
+      selectedMessages.add(messageUuid); // Add to set
+    } else {
+      selectedMessages.delete(messageUuid); // Remove from set
+      failedMessages.delete(messageUuid); // A deselected message is no longer retried
+    }
+    applyMessageHighlight(block, messageUuid, chatId);
+  }
+
+  /**
+   * Maps the UUIDs of the rendered messages to their blocks. Callers that change the
+   * selection of many messages build it once and pass it to `setMessageSelectedByUuid`.
+   * @returns {Map<string, HTMLElement>} The rendered message blocks, by message UUID.
+   */
+  function getMessageBlocksByUuid() {
+    const blocksByUuid = new Map();
+    document.querySelectorAll('[data-element-id="response-block"]').forEach(block => {
+      const messageUuid = block.dataset.messageUuid || findMessageData(block).message?.uuid;
+      if (messageUuid) blocksByUuid.set(messageUuid, block);
+    });
+    return blocksByUuid;
+  }
+
+  /**
+   * Sets the selection state of a message by UUID, whether or not it is rendered.
+   * Messages that aren't rendered are only tracked in the selection (they are deleted
+   * through the data store). Protected messages can't be selected. Does not update the
+   * delete button.
+   * @param {string} messageUuid The UUID of the message.
+   * @param {boolean} selected Whether the message should be selected.
+   * @param {Map<string, HTMLElement>} [blocksByUuid] The rendered blocks (see `getMessageBlocksByUuid`);
+   *     pass it when changing many messages, so the page is scanned once.
+   * @param {?string} [chatId] The open chat's ID; defaults to `getCurrentChatId()`. Callers
+   *     that handle many messages resolve it once and pass it in.
+   */
+  function setMessageSelectedByUuid(messageUuid, selected, blocksByUuid = getMessageBlocksByUuid(), chatId = getCurrentChatId()) {
+    if (selected && isMessageProtected(messageUuid, chatId)) return;
+    const block = blocksByUuid.get(messageUuid);
+    if (block) {
+      setMessageSelected(block, messageUuid, selected, chatId);
+    } else if (selected) {
+      selectedMessages.add(messageUuid);
+    } else {
+      selectedMessages.delete(messageUuid);
+      failedMessages.delete(messageUuid);
+    }
+  }
+
+  /**
+   * Styles a message block according to its state: the failure highlight and reason
+   * tooltip if its last deletion attempt failed, the selection highlight if it is
+   * selected, or no highlight otherwise. Protected messages get a lock badge.
+   * @param {HTMLElement} block The message block DOM element.
+   * @param {string} messageUuid The UUID of the message.
+   * @param {?string} [chatId] The open chat's ID; defaults to `getCurrentChatId()`. Callers
+   *     that handle many messages resolve it once and pass it in.
+   */
+  function applyMessageHighlight(block, messageUuid, chatId = getCurrentChatId()) {
+    // Options report selection with aria-selected, the standalone checkbox with aria-checked
+    const selectionAttribute = block.getAttribute('role') === 'checkbox' ? 'aria-checked' : 'aria-selected';
+    block.setAttribute(selectionAttribute, String(selectedMessages.has(messageUuid)));
+    const isProtected = isMessageProtected(messageUuid, chatId);
+    setLockIndicator(block, isProtected);
+    block.style.cursor = isProtected ? 'not-allowed' : 'pointer';
+    if (isProtected) block.setAttribute('aria-disabled', 'true');
+    else block.removeAttribute('aria-disabled');
+    const failureReason = failedMessages.get(messageUuid);
+    if (failureReason) {
+      block.style.backgroundColor = FAILED_BACKGROUND_COLOR;
+      block.style.outline = FAILED_OUTLINE;
+      block.dataset.tooltipId = 'global';
+      block.dataset.tooltipContent = translate('deleteFailed', { reason: failureReason });
+      block.dataset.bulkDeleteFailureTooltip = '';
+      return;
+    }
+    block.style.backgroundColor = selectedMessages.has(messageUuid) ? getSelectedBackgroundColor() : '';
+    block.style.outline = '';
+    if ('bulkDeleteFailureTooltip' in block.dataset) {
+      delete block.dataset.tooltipId;
+      delete block.dataset.tooltipContent;
+      delete block.dataset.bulkDeleteFailureTooltip;
+    }
+  }
+
+  /**
+   * Selects or deselects every message block between the anchor and the target
+   * block (inclusive), in document order.
+   * @param {string} anchorUuid The UUID of the anchor message.
+   * @param {HTMLElement} targetBlock The message block at the other end of the range.
+   * @param {boolean} selected Whether the range should be selected or deselected.
+   * @returns {boolean} False if the anchor is no longer rendered, true otherwise.
+   */
+  function applyRangeSelection(anchorUuid, targetBlock, selected) {
+    // querySelectorAll returns elements in document order
+    const blocks = Array.from(document.querySelectorAll('[data-element-id="response-block"][data-message-uuid]'));
+    const anchorIndex = blocks.findIndex(block => block.dataset.messageUuid === anchorUuid);
+    const targetIndex = blocks.indexOf(targetBlock);
+    if (anchorIndex === -1 || targetIndex === -1) return false;
+
+    const start = Math.min(anchorIndex, targetIndex);
+    const end = Math.max(anchorIndex, targetIndex);
+    const chatId = getCurrentChatId();
+    for (let i = start; i <= end; i++) {
+      setMessageSelected(blocks[i], blocks[i].dataset.messageUuid, selected, chatId);
+    }
+    return true;
+  }
+
+  /**
+   * Handles clicks on message blocks when bulk delete mode is enabled. Registered once on
+   * `document`; clicks outside a selectable message block are ignored.
+   * - Plain click: toggles the clicked message and makes it the range anchor.
+   * - Shift+click: applies the anchor's selection state to every message between
+   *   the anchor and the clicked message. The anchor stays where it is.
+   * - Ctrl/Cmd+click: toggles the clicked message without moving the anchor.
+   * @param {MouseEvent} event The click event object.
+   */
+  function handleMessageClick(event) {
+    // Selection is locked while the deletion loop runs (its simulated menu clicks bubble up here)
+    if (isBulkDeleting || isRunningDiagnostics) return;
+    if (suppressNextClick) {
+      suppressNextClick = false; // The click that ends a drag selection or long-press
+      return;
+    }
+    const block = getSelectableMessageBlock(event.target); // The message block element that was clicked
+    if (!block) return;
+    const messageUuid = block.dataset.messageUuid; // Get UUID stored in data attribute
+    if (!messageUuid) return; // Ignore if UUID couldn't be determined
+    if (isMessageProtected(messageUuid)) {
+      announce(translate('messageIsProtected'));
+      return;
+    }
+
+    // If user clicks a message while delete confirmation is active, cancel confirmation
+    if (isConfirmingBulkDelete) {
+      resetBulkDeleteConfirmation();
+    }
+    setFocusedMessageBlock(block); // Keyboard navigation continues from the clicked message
+
+    if (event.shiftKey && selectionAnchorUuid && selectionAnchorUuid !== messageUuid) {
+      // Shift+click also extends the browser's text selection; discard it
+      window.getSelection()?.removeAllRanges();
+      // The range takes on the anchor's state, so a deselected anchor clears the range
+      const rangeApplied = applyRangeSelection(selectionAnchorUuid, block, selectedMessages.has(selectionAnchorUuid));
+      if (!rangeApplied) {
+        // Anchor scrolled out of the DOM; fall back to a plain toggle
+        setMessageSelected(block, messageUuid, !selectedMessages.has(messageUuid));
+        selectionAnchorUuid = messageUuid;
+      }
+    } else {
+      // Toggle selection state
+      setMessageSelected(block, messageUuid, !selectedMessages.has(messageUuid));
+      // Ctrl/Cmd+click leaves the anchor in place
+      if (!(event.ctrlKey || event.metaKey)) selectionAnchorUuid = messageUuid;
+    }
+    updateBulkDeleteButtonUI(); // Update the delete button's state (count, visibility)
+  }
+
+  /**
+   * Finds the selectable message block an event target belongs to.
+   * @param {EventTarget} target The event target.
+   * @returns {?HTMLElement} The message block, or null if bulk delete mode is off or the
+   *     target isn't inside a selectable message block.
+   */
+  function getSelectableMessageBlock(target) {
+    if (!bulkDeleteEnabled || !(target instanceof Element)) return null;
+    return target.closest('[data-element-id="response-block"][data-bulk-delete-enabled="true"]');
+  }
+
+  /**
+   * Re-evaluates the selection state of every rendered message block.
+   * Used by the selection toolbar actions.
+   * @param {function(HTMLElement, string, boolean): boolean} predicate Receives the block,
+   *     its UUID and whether it is currently selected; returns whether it should be selected.
+   */
+  function applySelection(predicate) {
+    if (isBulkDeleting) return; // Selection is locked while the deletion loop runs
+    if (isConfirmingBulkDelete) resetBulkDeleteConfirmation(); // Selection changed, cancel confirmation
+    const chatId = getCurrentChatId();
+    document.querySelectorAll('[data-element-id="response-block"][data-message-uuid]').forEach(block => {
+      const messageUuid = block.dataset.messageUuid;
+      setMessageSelected(block, messageUuid, predicate(block, messageUuid, selectedMessages.has(messageUuid)), chatId);
+    });
+    updateBulkDeleteButtonUI();
+  }
+
+  /**
+   * Deselects every message, including any that are no longer rendered.
+   */
+  function clearSelection() {
+    if (isBulkDeleting) return; // Selection is locked while the deletion loop runs
+    applySelection(() => false);
+    selectedMessages.clear();
+    failedMessages.clear();
+    updateBulkDeleteButtonUI();
+  }
+
+  /**
+   * Prepares every rendered message block for selection and shows the message controls.
+   * Used when bulk delete mode is turned on and when the open chat changes; in between,
+   * `processPendingMutations` only prepares the blocks that were added.
+   */
+  function enableClickSelection() {
+    syncSelectionWithCurrentChat(); // Switch to the open chat's selection first
+    const chatId = getCurrentChatId();
+    document.querySelectorAll('[data-element-id="response-block"]').forEach(block => enableMessageBlock(block, chatId));
+    refreshMessageControls();
+  }
+
+  /**
+   * Prepares one message block for selection: stores its UUID, marks it as selectable
+   * (clicks reach `handleMessageClick` through the delegated listener on `document`) and
+   * applies its highlight and accessibility attributes. Blocks whose UUID can't be
+   * determined yet are remembered in `unresolvedBlocks` and retried when they change.
+   * @param {HTMLElement} block The message block DOM element.
+   * @param {?string} [chatId] The open chat's ID; defaults to `getCurrentChatId()`. Callers
+   *     that handle many messages resolve it once and pass it in.
+   */
+  function enableMessageBlock(block, chatId = getCurrentChatId()) {
+    // Try to find UUID if not already stored or if element might be new
+    const messageUuid = block.dataset.messageUuid || findMessageData(block).message?.uuid;
+    if (!messageUuid) {
+      unresolvedBlocks.add(block);
+      return;
+    }
+    unresolvedBlocks.delete(block);
+    block.dataset.messageUuid = messageUuid;
+    block.dataset.bulkDeleteEnabled = 'true'; // Selectable; matched by the delegated listeners
+    // Expose the block to assistive technology: as an option of the message listbox when
+    // its container can be verified, otherwise as a standalone checkbox
+    const list = getMessageListContainer(block);
+    if (list && list.dataset.bulkDeleteListbox !== 'true') {
+      list.setAttribute('role', 'listbox');
+      list.setAttribute('aria-multiselectable', 'true');
+      list.setAttribute('aria-label', translate('messageList'));
+      list.dataset.bulkDeleteListbox = 'true';
+    }
+    block.setAttribute('role', list ? 'option' : 'checkbox');
+    block.tabIndex = messageUuid === focusedMessageUuid ? 0 : -1;
+    // Ensure cursor, background, lock badge and selection state reflect the current state
+    applyMessageHighlight(block, messageUuid, chatId);
+  }
+
+  /**
+   * Returns the message list a block belongs to: its parent, if every child of it is a
+   * message block and it has no role of its own (other than one set by this script).
+   * Any other parent may hold unrelated content, so it must not become a listbox.
+   * @param {HTMLElement} block The message block DOM element.
+   * @returns {?HTMLElement} The verified message list container, or null.
+   */
+  function getMessageListContainer(block) {
+    const list = block.parentElement;
+    if (!list || list === document.body) return null;
+    if (list.hasAttribute('role') && list.dataset.bulkDeleteListbox !== 'true') return null;
+    const onlyMessages = Array.from(list.children).every(child => child.matches('[data-element-id="response-block"]'));
+    return onlyMessages ? list : null;
+  }
+
+  /**
+   * Keeps one message block reachable with Tab and makes sure the delete button and
+   * selection bar are present and up to date.
+   */
+  function refreshMessageControls() {
+    if (!document.querySelector('[data-element-id="response-block"][data-bulk-delete-enabled="true"][tabindex="0"]')) {
+      const firstBlock = document.querySelector('[data-element-id="response-block"][data-bulk-delete-enabled="true"]');
+      if (firstBlock) setFocusedMessageBlock(firstBlock);
+    }
+    ensureBulkDeleteStylesExist(); // Focus ring for keyboard navigation
+    ensureBulkDeleteButtonExists(); // Make sure the delete button is visible if needed
+    ensureSelectionToolbarExists(); // Make sure the selection bar sits next to the toolbar
+    updateBulkDeleteButtonUI(); // Update delete button text/state
+  }
+
+  /**
+   * Removes the selectable marker and selection-related styles/attributes from message blocks.
+   */
+  function removeMessageSelectionListeners() {
+    unresolvedBlocks.clear();
+    document.querySelectorAll('[data-element-id="response-block"][data-bulk-delete-enabled="true"]').forEach(block => {
+      block.style.cursor = ''; // Reset cursor
+      block.style.backgroundColor = ''; // Reset background
+      block.style.outline = ''; // Reset failure outline
+      if ('bulkDeleteFailureTooltip' in block.dataset) {
+        delete block.dataset.tooltipId;
+        delete block.dataset.tooltipContent;
+        delete block.dataset.bulkDeleteFailureTooltip;
+      }
+      // Clean up data attributes
+      delete block.dataset.bulkDeleteEnabled;
+      // Keep messageUuid for potential re-enabling? Maybe remove if causing issues.
+      // delete block.dataset.messageUuid;
+      setLockIndicator(block, false); // The lock badge is only shown in bulk delete mode
+      // Clean up accessibility attributes
+      block.removeAttribute('role');
+      block.removeAttribute('aria-selected');
+      block.removeAttribute('aria-checked');
+      block.removeAttribute('aria-disabled');
+      block.removeAttribute('tabindex');
+    });
+    document.querySelectorAll('[data-bulk-delete-listbox="true"]').forEach(list => {
+      list.removeAttribute('role');
+      list.removeAttribute('aria-multiselectable');
+      list.removeAttribute('aria-label');
+      delete list.dataset.bulkDeleteListbox;
+    });
+  }
+
+  /**
+   * Disables the bulk selection mode by removing listeners and the delete button.
+   */
+  function disableClickSelection() {
+    endDragSelection();
+    removeMessageSelectionListeners();
+    removeMessageControls(); // Remove the bulk delete button and the selection bar
+  }
+
+  /**
+   * Toggles the bulk delete mode on or off.
+   */
+  function toggleBulkDeleteMode() {
+    bulkDeleteEnabled = !bulkDeleteEnabled; // Flip the state
+    if (bulkDeleteEnabled) {
+      enableClickSelection(); // Enable mode: add listeners, show button
+      enableChatSelection(); // Add checkboxes to the sidebar chat list
+      // Check the selectors once per page load (without the menu flow) so breakage shows as a badge
+      if (!lastDiagnosticsReport && !isBulkDeleting && !isChatDeleting && !isRunningDiagnostics) {
+        runDiagnostics(false).catch(error => console.warn('[BulkDelete] Diagnostics failed:', error));
+      }
+    } else {
+      // Disable mode: cancel confirmation, remove listeners, hide button, clear selection
+      if (isConfirmingBulkDelete) {
+        resetBulkDeleteConfirmation();
+      }
+      disableClickSelection();
+      if (!isChatDeleting) disableChatSelection(); // A running chat deletion cleans up when it ends
+      selectedMessages.clear();
+      failedMessages.clear();
+      savedSelections.clear(); // Turning the mode off forgets the selections in every chat
+      selectionAnchorUuid = null;
+      focusedMessageUuid = null;
+      lastAnnouncedSelectionCount = null;
+      dispatchSelectionChanged();
+    }
+    updateToggleButtonVisualState(); // Update toggle button appearance
+    dispatchBulkDeleteEvent('mode-changed', { enabled: bulkDeleteEnabled });
+  }
+
+  // --- Drag Selection ---
+  /**
+   * Starts tracking a possible drag selection when the primary button is pressed on a
+   * message block. Nothing changes until the pointer moves onto another message, so
+   * plain clicks and text selection inside one message work as before. Presses with
+   * Shift/Ctrl/Cmd or on the message's own buttons and links are left alone. Touches
+   * scroll the chat instead of dragging, so they are handed to `startLongPress`. Registered
+   * once on `document`, like `handleMessageClick`.
+   * @param {PointerEvent} event The pointerdown event.
+   */
+  function handleMessagePointerDown(event) {
+    suppressNextClick = false; // A new press: a click left over from an earlier one won't come anymore
+    if (isBulkDeleting || event.button !== 0 || !event.isPrimary) return;
+    if (event.pointerType === 'touch') {
+      startLongPress(event);
+      return;
+    }
+    if (event.shiftKey || event.ctrlKey || event.metaKey) return;
+    const block = getSelectableMessageBlock(event.target);
+    if (!block || event.target.closest('button, a, input, textarea, select')) return;
+    const messageUuid = block.dataset.messageUuid;
+    if (!messageUuid) return;
+    endDragSelection();
+    dragSelection = {
+      startUuid: messageUuid,
+      selected: !selectedMessages.has(messageUuid), // Dragged-over messages get the pressed message's new state
+      active: false,
+      startX: event.clientX,
+      startY: event.clientY,
+      lastX: event.clientX,
+      lastY: event.clientY,
+      originalSelection: null,
+      originalFailures: null,
+      scrollContainer: null,
+      scrollSpeed: 0,
+      scrollFrame: null,
+    };
+    document.addEventListener('pointermove', handleDragPointerMove);
+    document.addEventListener('pointerup', endDragSelection);
+    document.addEventListener('pointercancel', endDragSelection);
+  }
+
+  /**
+   * Follows the pointer while the button is held. The press becomes a drag selection once
+   * the pointer has moved onto another message; from then on the selection covers every
+   * message between the pressed one and the one under the pointer, and the chat
+   * auto-scrolls near its top and bottom edges.
+   * @param {PointerEvent} event The pointermove event.
+   */
+  function handleDragPointerMove(event) {
+    if (!dragSelection) return;
+    dragSelection.lastX = event.clientX;
+    dragSelection.lastY = event.clientY;
+    if (!dragSelection.active) {
+      const block = getMessageBlockAtPoint(event.clientX, event.clientY);
+      // Moving inside the pressed message is ordinary text selection
+      if (!block || block.dataset.messageUuid === dragSelection.startUuid) return;
+      if (Math.hypot(event.clientX - dragSelection.startX, event.clientY - dragSelection.startY) < DRAG_THRESHOLD_PX) return;
+      startDragSelection();
+    }
+    updateDragSelection();
+    updateDragAutoScroll();
+  }
+
+  /**
+   * Turns the tracked press into a drag selection: remembers the current selection so
+   * messages the range leaves again get their old state back, and stops the browser
+   * from selecting text while dragging.
+   */
+  function startDragSelection() {
+    dragSelection.active = true;
+    dragSelection.originalSelection = new Set(selectedMessages);
+    dragSelection.originalFailures = new Map(failedMessages);
+    dragSelection.scrollContainer = findScrollContainer(document.querySelector(`[data-element-id="response-block"][data-message-uuid="${dragSelection.startUuid}"]`));
+    if (isConfirmingBulkDelete) resetBulkDeleteConfirmation(); // Selection changes, cancel confirmation
+    window.getSelection()?.removeAllRanges();
+    document.documentElement.style.userSelect = 'none';
+  }
+
+  /**
+   * Applies the drag range: messages between the pressed message and the one under the
+   * pointer (inclusive) get the drag's state, every other rendered message its state from
+   * before the drag. Keeps the last range while the pointer is between messages.
+   */
+  function updateDragSelection() {
+    const targetBlock = getMessageBlockAtPoint(dragSelection.lastX, dragSelection.lastY);
+    if (!targetBlock) return;
+    const blocks = Array.from(document.querySelectorAll('[data-element-id="response-block"][data-bulk-delete-enabled="true"]'));
+    const startIndex = blocks.findIndex(block => block.dataset.messageUuid === dragSelection.startUuid);
+    const targetIndex = blocks.indexOf(targetBlock);
+    if (startIndex === -1 || targetIndex === -1) return;
+
+    const start = Math.min(startIndex, targetIndex);
+    const end = Math.max(startIndex, targetIndex);
+    let changed = false;
+    const chatId = getCurrentChatId();
+    blocks.forEach((block, index) => {
+      const messageUuid = block.dataset.messageUuid;
+      const selected = index >= start && index <= end ? dragSelection.selected : dragSelection.originalSelection.has(messageUuid);
+      if (selected === selectedMessages.has(messageUuid)) return;
+      setMessageSelected(block, messageUuid, selected, chatId);
+      // Restore the failure mark of a failed message the range no longer covers
+      if (selected && dragSelection.originalFailures.has(messageUuid)) {
+        failedMessages.set(messageUuid, dragSelection.originalFailures.get(messageUuid));
+        applyMessageHighlight(block, messageUuid, chatId);
+      }
+      changed = true;
+    });
+    if (changed) updateBulkDeleteButtonUI();
+  }
+
+  /**
+   * Starts, adjusts or stops auto-scrolling depending on how close the pointer is to the
+   * top or bottom edge of the chat's scroll container. Closer means faster; beyond the
+   * edge is full speed.
+   */
+  function updateDragAutoScroll() {
+    const container = dragSelection.scrollContainer;
+    if (!container) return;
+    const isPage = container === document.scrollingElement || container === document.documentElement;
+    const top = isPage ? 0 : container.getBoundingClientRect().top;
+    const bottom = isPage ? window.innerHeight : container.getBoundingClientRect().bottom;
+    const y = dragSelection.lastY;
+    let speed = 0;
+    if (y < top + AUTO_SCROLL_EDGE_PX) {
+      speed = -Math.ceil(AUTO_SCROLL_MAX_SPEED * Math.min(1, (top + AUTO_SCROLL_EDGE_PX - y) / AUTO_SCROLL_EDGE_PX));
+    } else if (y > bottom - AUTO_SCROLL_EDGE_PX) {
+      speed = Math.ceil(AUTO_SCROLL_MAX_SPEED * Math.min(1, (y - bottom + AUTO_SCROLL_EDGE_PX) / AUTO_SCROLL_EDGE_PX));
+    }
+    dragSelection.scrollSpeed = speed;
+    if (speed && !dragSelection.scrollFrame) dragSelection.scrollFrame = requestAnimationFrame(stepDragAutoScroll);
+  }
+
+  /**
+   * Scrolls the chat by one auto-scroll step and extends the drag range to whatever
+   * message is now under the pointer. Keeps going every animation frame while the
+   * pointer stays near the edge.
+   */
+  function stepDragAutoScroll() {
+    if (!dragSelection) return;
+    dragSelection.scrollFrame = null;
+    if (!dragSelection.scrollSpeed) return;
+    dragSelection.scrollContainer.scrollTop += dragSelection.scrollSpeed;
+    updateDragSelection();
+    dragSelection.scrollFrame = requestAnimationFrame(stepDragAutoScroll);
+  }
+
+  /**
+   * Ends the tracked press or drag selection. After a drag, the pressed message becomes
+   * the Shift+click anchor and the click the browser fires on release is ignored.
+   */
+  function endDragSelection() {
+    if (!dragSelection) return;
+    document.removeEventListener('pointermove', handleDragPointerMove);
+    document.removeEventListener('pointerup', endDragSelection);
+    document.removeEventListener('pointercancel', endDragSelection);
+    if (dragSelection.scrollFrame) cancelAnimationFrame(dragSelection.scrollFrame);
+    if (dragSelection.active) {
+      document.documentElement.style.userSelect = '';
+      selectionAnchorUuid = dragSelection.startUuid;
+      const startBlock = document.querySelector(`[data-element-id="response-block"][data-message-uuid="${dragSelection.startUuid}"]`);
+      if (startBlock) setFocusedMessageBlock(startBlock);
+      suppressNextClick = true; // The click event follows pointerup
+    }
+    dragSelection = null;
+  }
+
+  /**
+   * Finds the selectable message block under a point in the viewport.
+   * @param {number} x Horizontal viewport coordinate.
+   * @param {number} y Vertical viewport coordinate.
+   * @returns {?HTMLElement} The message block, or null if there is none at that point.
+   */
+  function getMessageBlockAtPoint(x, y) {
+    return document.elementFromPoint(x, y)?.closest('[data-element-id="response-block"][data-bulk-delete-enabled="true"]') || null;
+  }
+
+  /**
+   * Finds the nearest ancestor of an element that scrolls vertically (the chat's message
+   * list), falling back to the page itself.
+   * @param {?HTMLElement} element The element to start from.
+   * @returns {HTMLElement} The scroll container.
+   */
+  function findScrollContainer(element) {
+    for (let current = element?.parentElement; current && current !== document.body; current = current.parentElement) {
+      const overflowY = getComputedStyle(current).overflowY;
+      if ((overflowY === 'auto' || overflowY === 'scroll') && current.scrollHeight > current.clientHeight) return current;
+    }
+    return document.scrollingElement || document.documentElement;
+  }
+
+  // --- Touch Selection ---
+  /**
+   * Starts timing a touch on a message block. Held still for `LONG_PRESS_MS`, it selects
+   * the message (see `completeLongPress`), also when bulk delete mode is still off; moving
+   * the finger scrolls as usual and cancels it. Touches on the message's own buttons and
+   * links are left alone.
+   * @param {PointerEvent} event The pointerdown event of the touch.
+   */
+  function startLongPress(event) {
+    if (!(event.target instanceof Element) || event.target.closest('button, a, input, textarea, select')) return;
+    const block = event.target.closest('[data-element-id="response-block"]');
+    if (!block) return;
+    endLongPress();
+    longPress = {
+      block,
+      startX: event.clientX,
+      startY: event.clientY,
+      timer: setTimeout(completeLongPress, LONG_PRESS_MS),
+      fired: false,
+    };
+    document.addEventListener('pointermove', handleLongPressPointerMove);
+    document.addEventListener('pointerup', endLongPress);
+    document.addEventListener('pointercancel', endLongPress);
+  }
+
+  /**
+   * Cancels a pending long-press once the finger has moved too far.
+   * @param {PointerEvent} event The pointermove event.
+   */
+  function handleLongPressPointerMove(event) {
+    if (!longPress || longPress.fired) return;
+    if (Math.hypot(event.clientX - longPress.startX, event.clientY - longPress.startY) > LONG_PRESS_MOVE_TOLERANCE_PX) endLongPress();
+  }
+
+  /**
+   * Selects the long-pressed message, turning bulk delete mode on first if it is off.
+   * The message becomes the Shift+click anchor, as with a plain click; afterwards taps
+   * toggle messages through `handleMessageClick`.
+   */
+  function completeLongPress() {
+    if (!longPress || longPress.fired) return;
+    clearTimeout(longPress.timer);
+    longPress.fired = true;
+    if (isBulkDeleting || isRunningDiagnostics || !longPress.block.isConnected) return;
+    if (!bulkDeleteEnabled) toggleBulkDeleteMode();
+    const block = getSelectableMessageBlock(longPress.block);
+    const messageUuid = block?.dataset.messageUuid;
+    if (!messageUuid) return; // UUID not readable yet (e.g. still streaming)
+
+    if (isConfirmingBulkDelete) resetBulkDeleteConfirmation();
+    window.getSelection()?.removeAllRanges(); // The browser may have started selecting a word
+    setMessageSelected(block, messageUuid, true);
+    selectionAnchorUuid = messageUuid;
+    setFocusedMessageBlock(block);
+    updateBulkDeleteButtonUI();
+    navigator.vibrate?.(10); // Haptic feedback where supported
+  }
+
+  /**
+   * Ends the tracked touch when the finger lifts or the browser takes it over (scrolling).
+   * The click the browser may fire after a long-press is ignored.
+   */
+  function endLongPress() {
+    if (!longPress) return;
+    clearTimeout(longPress.timer);
+    document.removeEventListener('pointermove', handleLongPressPointerMove);
+    document.removeEventListener('pointerup', endLongPress);
+    document.removeEventListener('pointercancel', endLongPress);
+    if (longPress.fired) suppressNextClick = true;
+    longPress = null;
+  }
+
+  /**
+   * Keeps the browser's own long-press menu (and text selection callout) from opening
+   * over a message that is being long-pressed. If it fires before `LONG_PRESS_MS`, the
+   * long-press completes right away. Registered once on `document`.
+   * @param {MouseEvent} event The contextmenu event.
+   */
+  function handleMessageContextMenu(event) {
+    if (!longPress) return;
+    if (!longPress.fired) completeLongPress();
+    event.preventDefault();
+  }
+
+  // --- Chat List Selection ---
+  /**
+   * Returns the ID of the chat rendered by a sidebar chat entry. The ID and the
+   * chat's last activity time are read from the Fiber chat data once and cached on
+   * the entry's dataset.
+   * @param {HTMLElement} item The chat entry DOM element.
+   * @returns {?string} The chat ID, or null if it couldn't be determined.
+   */
+  function getChatItemId(item) {
+    if (!item.dataset.chatId) {
+      const chat = findChatData(item);
+      const chatId = chat?.id || chat?.chatID;
+      if (!chatId) return null;
+      item.dataset.chatId = chatId;
+      const lastActivity = chat.updatedAt || chat.createdAt;
+      if (lastActivity) item.dataset.chatUpdatedAt = String(new Date(lastActivity).getTime());
+    }
+    return item.dataset.chatId;
+  }
+
+  /**
+   * Returns the rendered sidebar chat entries whose chat ID is known, in document order.
+   * @returns {HTMLElement[]} The chat entry elements.
+   */
+  function getChatItems() {
+    return Array.from(document.querySelectorAll(CHAT_ITEM_SELECTOR)).filter(item => getChatItemId(item) !== null);
+  }
+
+  /**
+   * Sets the selection state of a single chat entry, keeping `selectedChats` and the
+   * entry's checkbox and highlight in sync. Does not update the chat delete button.
+   * @param {HTMLElement} item The chat entry DOM element.
+   * @param {string} chatId The ID of the chat.
+   * @param {boolean} selected Whether the chat should be selected.
+   */
+  function setChatSelected(item, chatId, selected) {
+    if (selected) {
+      selectedChats.add(chatId);
+    } else {
+      selectedChats.delete(chatId);
+      failedChats.delete(chatId); // A deselected chat is no longer retried
+    }
+    applyChatHighlight(item, chatId);
+  }
+
+  /**
+   * Styles a chat entry according to its state, like `applyMessageHighlight` does for
+   * message blocks, and syncs its checkbox.
+   * @param {HTMLElement} item The chat entry DOM element.
+   * @param {string} chatId The ID of the chat.
+   */
+  function applyChatHighlight(item, chatId) {
+    const checkbox = item.querySelector('input[data-bulk-delete-chat-checkbox]');
+    if (checkbox) checkbox.checked = selectedChats.has(chatId);
+    const failureReason = failedChats.get(chatId);
+    if (failureReason) {
+      item.style.backgroundColor = FAILED_BACKGROUND_COLOR;
+      item.style.outline = FAILED_OUTLINE;
+      item.dataset.tooltipId = 'global';
+      item.dataset.tooltipContent = translate('deleteFailed', { reason: failureReason });
+      item.dataset.bulkDeleteFailureTooltip = '';
+      return;
+    }
+    item.style.backgroundColor = selectedChats.has(chatId) ? getSelectedBackgroundColor() : '';
+    item.style.outline = '';
+    if ('bulkDeleteFailureTooltip' in item.dataset) {
+      delete item.dataset.tooltipId;
+      delete item.dataset.tooltipContent;
+      delete item.dataset.bulkDeleteFailureTooltip;
+    }
+  }
+
+  /**
+   * Handles clicks on the checkbox of a chat entry. Works like `handleMessageClick`:
+   * Shift+click applies the anchor's state to the range, Ctrl/Cmd+click leaves the anchor in place.
+   * @param {MouseEvent} event The click event object.
+   */
+  function handleChatCheckboxClick(event) {
+    event.stopPropagation(); // Don't open the chat
+    if (isChatDeleting) {
+      event.preventDefault(); // Selection is locked while the deletion loop runs
+      return;
+    }
+    const checkbox = event.currentTarget;
+    const item = checkbox.closest(CHAT_ITEM_SELECTOR);
+    const chatId = item?.dataset.chatId;
+    if (!chatId) return;
+    if (isConfirmingChatDelete) resetChatDeleteConfirmation();
+
+    if (event.shiftKey && chatSelectionAnchorId && chatSelectionAnchorId !== chatId) {
+      const items = getChatItems();
+      const anchorIndex = items.findIndex(chatItem => chatItem.dataset.chatId === chatSelectionAnchorId);
+      const targetIndex = items.indexOf(item);
+      if (anchorIndex !== -1 && targetIndex !== -1) {
+        const selected = selectedChats.has(chatSelectionAnchorId);
+        for (let i = Math.min(anchorIndex, targetIndex); i <= Math.max(anchorIndex, targetIndex); i++) {
+          setChatSelected(items[i], items[i].dataset.chatId, selected);
+        }
+      } else {
+        // Anchor is no longer in the list; fall back to a plain toggle
+        setChatSelected(item, chatId, checkbox.checked);
+        chatSelectionAnchorId = chatId;
+      }
+    } else {
+      setChatSelected(item, chatId, checkbox.checked);
+      // Ctrl/Cmd+click leaves the anchor in place
+      if (!(event.ctrlKey || event.metaKey)) chatSelectionAnchorId = chatId;
+    }
+    updateChatDeleteButtonUI();
+  }
+
+  /**
+   * Adds every rendered chat whose last activity is more than `days` days ago to the selection.
+   * Chats without a known activity time are left alone.
+   * @param {number} days The age threshold in days.
+   */
+  function selectChatsOlderThan(days) {
+    if (isChatDeleting || !(days >= 0)) return;
+    if (isConfirmingChatDelete) resetChatDeleteConfirmation();
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    let count = 0;
+    getChatItems().forEach(item => {
+      const lastActivity = Number(item.dataset.chatUpdatedAt);
+      if (lastActivity && lastActivity < cutoff) {
+        setChatSelected(item, item.dataset.chatId, true);
+        count++;
+      }
+    });
+    announce(translatePlural('chatsOlderSelected', count, { days }));
+    updateChatDeleteButtonUI();
+  }
+
+  /**
+   * Deselects every chat, including any that are no longer rendered.
+   */
+  function clearChatSelection() {
+    if (isChatDeleting) return;
+    if (isConfirmingChatDelete) resetChatDeleteConfirmation();
+    selectedChats.clear();
+    failedChats.clear();
+    getChatItems().forEach(item => applyChatHighlight(item, item.dataset.chatId));
+    updateChatDeleteButtonUI();
+  }
+
+  /**
+   * Adds a selection checkbox to every rendered sidebar chat entry, starts watching
+   * the chat list for changes and shows the chat list bar.
+   */
+  function enableChatSelection() {
+    getChatItems().forEach(item => {
+      if (!item.querySelector('input[data-bulk-delete-chat-checkbox]')) {
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.dataset.bulkDeleteChatCheckbox = 'true';
+        checkbox.className = 'shrink-0 mr-2 w-4 h-4 accent-red-600 cursor-pointer';
+        checkbox.setAttribute('aria-label', translate('selectChat', { title: item.textContent.trim() }));
+        checkbox.addEventListener('click', handleChatCheckboxClick);
+        item.prepend(checkbox);
+      }
+      applyChatHighlight(item, item.dataset.chatId);
+    });
+    ensureChatBulkBarExists();
+    updateChatDeleteButtonUI();
+  }
+
+  /**
+   * Removes the chat checkboxes, highlights and the chat list bar, and clears the chat selection.
+   */
+  function disableChatSelection() {
+    if (isConfirmingChatDelete) resetChatDeleteConfirmation();
+    document.querySelectorAll('input[data-bulk-delete-chat-checkbox]').forEach(checkbox => {
+      const item = checkbox.closest(CHAT_ITEM_SELECTOR);
+      checkbox.remove();
+      if (!item) return;
+      item.style.backgroundColor = '';
+      item.style.outline = '';
+      if ('bulkDeleteFailureTooltip' in item.dataset) {
+        delete item.dataset.tooltipId;
+        delete item.dataset.tooltipContent;
+        delete item.dataset.bulkDeleteFailureTooltip;
+      }
+    });
+    if (chatBulkBar) {
+      chatBulkBar.remove();
+      chatBulkBar = null;
+      chatDeleteButton = null;
+    }
+    selectedChats.clear();
+    failedChats.clear();
+    chatSelectionAnchorId = null;
+  }
+
+  // --- Message Menu Entries ---
+  /**
+   * Watches clicks on a message's 'More Actions' button and adds the "Delete everything
+   * after/before this" and protection entries to the menu it opens. Ignores the clicks made by the
+   * deletion loop itself.
+   * @param {MouseEvent} event The click event object (captured on `document`).
+   */
+  function handleMessageMenuOpen(event) {
+    const menuButton = event.target instanceof Element ? event.target.closest(MESSAGE_MENU_BUTTON_SELECTOR) : null;
+    const block = menuButton?.closest('[data-element-id="response-block"]');
+    if (!block || isBulkDeleting || isChatDeleting || isRunningDiagnostics) return;
+    const messageUuid = block.dataset.messageUuid || findMessageData(block).message?.uuid;
+    if (!messageUuid) return;
+    // Another message's menu may still be open while this click is handled
+    const previousMenu = document.querySelector(OPEN_MENU_SELECTOR);
+    const findNewMenu = () => {
+      const menu = document.querySelector(OPEN_MENU_SELECTOR);
+      return menu !== previousMenu ? menu : null;
+    };
+    waitForElement(findNewMenu, [], getSettings().menuTimeoutMs, translate('stepActionsMenu'))
+      .then(menu => injectMessageMenuItems(menu, messageUuid))
+      .catch(() => { /* The click closed the menu instead of opening one */ });
+  }
+
+  /**
+   * Appends the "Delete everything after this", "Delete everything before this" and
+   * "Protect from bulk delete" (or "Remove protection") entries to an open message menu,
+   * styled like its existing items.
+   * @param {HTMLElement} menuElement The open menu.
+   * @param {string} messageUuid The UUID of the message the menu belongs to.
+   */
+  function injectMessageMenuItems(menuElement, messageUuid) {
+    if (menuElement.querySelector('[data-bulk-delete-menu-item]')) return;
+    const template = menuElement.querySelector('[role="menuitem"]');
+    const isProtected = isMessageProtected(messageUuid);
+    const entries = [
+      ['after', 'deleteAfter', () => selectRangeAndConfirm(messageUuid, 'after').catch(handleBulkDeleteFailure)],
+      ['before', 'deleteBefore', () => selectRangeAndConfirm(messageUuid, 'before').catch(handleBulkDeleteFailure)],
+    ];
+    // Protection is stored per chat; a chat that hasn't been saved yet has no ID
+    if (getCurrentChatId()) {
+      entries.push(['protect', isProtected ? 'unprotect' : 'protect', () => {
+        setMessageProtected(messageUuid, !isProtected);
+        announce(translate(isProtected ? 'protectionRemoved' : 'protectionAdded'));
+      }]);
+    }
+    entries.forEach(([name, labelKey, action]) => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.setAttribute('role', 'menuitem');
+      item.tabIndex = -1;
+      item.dataset.bulkDeleteMenuItem = name;
+      item.className = template?.className || 'flex w-full items-center px-3 py-2 text-left text-sm text-slate-700 dark:text-slate-200 hover:bg-slate-100 dark:hover:bg-white/10';
+      item.textContent = translate(labelKey);
+      item.addEventListener('click', event => {
+        event.stopPropagation();
+        // Let headlessui close the menu as it does for its own items
+        menuElement.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        action();
+      });
+      (template?.parentElement || menuElement).appendChild(item);
+    });
+  }
+
+  /**
+   * Selects every message after (or before) a message, turning bulk delete mode on if
+   * needed, and puts the delete button straight into its 'Sure?' state. Protected
+   * messages in the range stay unselected.
+   * @param {string} messageUuid The UUID of the message where the chat is cut.
+   * @param {string} direction 'after' or 'before'; the message itself is not included.
+   * @returns {Promise<void>} A promise that resolves once the confirmation is showing.
+   */
+  async function selectRangeAndConfirm(messageUuid, direction) {
+    if (isBulkDeleting || isChatDeleting) return;
+    const messages = await getAllChatMessages();
+    const index = messages.findIndex(message => message.uuid === messageUuid);
+    if (index === -1) return;
+    const chatId = getCurrentChatId();
+    const range = (direction === 'after' ? messages.slice(index + 1) : messages.slice(0, index))
+      .filter(message => !isMessageProtected(message.uuid, chatId));
+    if (range.length === 0) {
+      announce(translate(direction === 'after' ? 'noMessagesAfter' : 'noMessagesBefore'));
+      return;
+    }
+    if (!bulkDeleteEnabled) toggleBulkDeleteMode();
+    clearSelection(); // The range replaces the current selection
+    const blocksByUuid = getMessageBlocksByUuid();
+    range.forEach(message => setMessageSelectedByUuid(message.uuid, true, blocksByUuid, chatId));
+    updateBulkDeleteButtonUI();
+    await handleBulkDeleteExecution(); // First click: 'Sure?'
+    if (isConfirmingBulkDelete) {
+      announce(translatePlural(direction === 'after' ? 'confirmAfter' : 'confirmBefore', range.length));
+    }
+  }
+
+  // --- Keyboard & Accessibility ---
+  /**
+   * Announces a message to screen readers through a visually hidden aria-live region.
+   * @param {string} message The text to announce.
+   */
+  function announce(message) {
+    if (!liveRegion?.isConnected) {
+      liveRegion = document.createElement('div');
+      liveRegion.id = 'bulk-delete-live-region';
+      liveRegion.setAttribute('role', 'status');
+      liveRegion.setAttribute('aria-live', 'polite');
+      liveRegion.setAttribute('aria-atomic', 'true');
+      // Visually hidden but still read by assistive technology
+      liveRegion.style.cssText = 'position: absolute; width: 1px; height: 1px; padding: 0; margin: -1px; overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; border: 0;';
+      document.body.appendChild(liveRegion);
+    }
+    liveRegion.textContent = message;
+  }
+
+  /**
+   * Announces the number of selected messages if it changed since the last announcement.
+   */
+  function announceSelectionCount() {
+    const selectedCount = selectedMessages.size;
+    if (selectedCount === lastAnnouncedSelectionCount) return;
+    lastAnnouncedSelectionCount = selectedCount;
+    announce(translatePlural('selectedCount', selectedCount));
+  }
+
+  /**
+   * Injects the stylesheet for the keyboard focus ring of message blocks, touch target
+   * sizes and the bottom action bar, once.
+   */
+  function ensureBulkDeleteStylesExist() {
+    if (document.getElementById('bulk-delete-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'bulk-delete-styles';
+    // Box shadow rather than outline, so it doesn't clash with the failed-deletion outline.
+    // On touch screens: no callout on long-press, and controls large enough to tap
+    style.textContent = `
+      [data-element-id="response-block"][data-bulk-delete-enabled="true"]:focus { outline: none; }
+      [data-element-id="response-block"][data-bulk-delete-enabled="true"]:focus-visible { box-shadow: inset 0 0 0 2px rgb(59, 130, 246); }
+      [data-element-id="response-block"][data-bulk-delete-enabled="true"] { -webkit-touch-callout: none; }
+      @media (pointer: coarse) {
+        #bulk-delete-toggle-button, #bulk-delete-button, #bulk-delete-undo-button, #bulk-delete-run-controls button,
+        #bulk-delete-selection-toolbar button, #bulk-delete-selection-toolbar input[type="search"], #bulk-delete-chat-bar button { min-height: 44px; }
+        #bulk-delete-toggle-button { min-width: 44px; }
+        #bulk-delete-selection-toolbar input[type="checkbox"], #bulk-delete-chat-bar input[type="checkbox"], [data-bulk-delete-chat-checkbox] { width: 20px; height: 20px; }
+      }
+      #bulk-delete-mobile-bar #bulk-delete-selection-toolbar { flex-wrap: nowrap; justify-content: flex-start; width: 100%; margin: 0; overflow-x: auto; border: 0; box-shadow: none; }
+      #bulk-delete-mobile-bar #bulk-delete-selection-toolbar > * { flex-shrink: 0; }
+      #bulk-delete-mobile-bar #bulk-delete-button { flex: 1; }
+    `;
+    document.head.appendChild(style);
+  }
+
+  /**
+   * Makes a message block the single tab stop among message blocks (roving tabindex).
+   * @param {HTMLElement} block The message block DOM element.
+   */
+  function setFocusedMessageBlock(block) {
+    const previous = focusedMessageUuid && document.querySelector(`[data-element-id="response-block"][data-message-uuid="${focusedMessageUuid}"]`);
+    if (previous && previous !== block) previous.tabIndex = -1;
+    focusedMessageUuid = block.dataset.messageUuid;
+    block.tabIndex = 0;
+  }
+
+  /**
+   * Returns the first message block that is at least partly inside the viewport, or
+   * the last message block if none is.
+   * @returns {?HTMLElement} The message block, or null if there are none.
+   */
+  function getFirstVisibleMessageBlock() {
+    const blocks = Array.from(document.querySelectorAll('[data-element-id="response-block"][data-bulk-delete-enabled="true"]'));
+    return blocks.find(block => {
+      const rect = block.getBoundingClientRect();
+      return rect.bottom > 0 && rect.top < window.innerHeight;
+    }) || blocks[blocks.length - 1] || null;
+  }
+
+  /**
+   * Handles keyboard input for bulk delete mode:
+   * - The toggle shortcut (`TOGGLE_SHORTCUT`) turns bulk delete mode on or off from anywhere.
+   * - With a message block focused: Up/Down move focus, Shift+Up/Down extend the selection,
+   *   Space toggles the focused message, Delete starts (or confirms) deletion and Escape
+   *   cancels a pending confirmation.
+   * @param {KeyboardEvent} event The keydown event object.
+   */
+  function handleKeyDown(event) {
+    if (event.altKey && event.shiftKey && !event.ctrlKey && !event.metaKey && event.code === 'KeyB') {
+      event.preventDefault();
+      toggleBulkDeleteMode();
+      if (bulkDeleteEnabled) {
+        announce(translate('modeOn'));
+        const block = getFirstVisibleMessageBlock();
+        if (block) {
+          setFocusedMessageBlock(block);
+          block.focus();
+        }
+      } else {
+        announce(translate('modeOff'));
+      }
+      return;
+    }
+
+    if (!bulkDeleteEnabled || isBulkDeleting) return;
+    // Only handle keys while a message block itself has focus (not an input or link inside it)
+    const block = event.target;
+    if (!(block instanceof HTMLElement) || block.dataset?.bulkDeleteEnabled !== 'true') return;
+    const messageUuid = block.dataset.messageUuid;
+
+    switch (event.key) {
+      case 'ArrowDown':
+      case 'ArrowUp': {
+        const blocks = Array.from(document.querySelectorAll('[data-element-id="response-block"][data-bulk-delete-enabled="true"]'));
+        const nextBlock = blocks[blocks.indexOf(block) + (event.key === 'ArrowDown' ? 1 : -1)];
+        event.preventDefault();
+        if (!nextBlock) return;
+        if (event.shiftKey) {
+          // Extend the selection from the anchor (starting one here if needed) to the next message
+          if (isConfirmingBulkDelete) resetBulkDeleteConfirmation();
+          if (!selectionAnchorUuid || !selectedMessages.has(selectionAnchorUuid)) {
+            selectionAnchorUuid = messageUuid;
+            setMessageSelected(block, messageUuid, true);
+          }
+          if (!applyRangeSelection(selectionAnchorUuid, nextBlock, true)) {
+            setMessageSelected(nextBlock, nextBlock.dataset.messageUuid, true);
+          }
+          updateBulkDeleteButtonUI();
+        }
+        setFocusedMessageBlock(nextBlock);
+        nextBlock.focus();
+        break;
+      }
+      case ' ':
+        event.preventDefault();
+        if (isConfirmingBulkDelete) resetBulkDeleteConfirmation();
+        setMessageSelected(block, messageUuid, !selectedMessages.has(messageUuid));
+        selectionAnchorUuid = messageUuid;
+        updateBulkDeleteButtonUI();
+        break;
+      case 'Delete':
+        event.preventDefault();
+        // Holding the key down must not run straight through the 'Sure?' step
+        if (event.repeat || (selectedMessages.size === 0 && !isConfirmingBulkDelete)) return;
+        triggerBulkDeleteExecution();
+        if (isConfirmingBulkDelete) {
+          announce(translatePlural('confirmSelected', selectedMessages.size));
+        }
+        break;
+      case 'Escape':
+        if (isConfirmingBulkDelete) {
+          event.preventDefault();
+          resetBulkDeleteConfirmation();
+          announce(translate('deletionCancelled'));
+        }
+        break;
+    }
+  }
+
+  // --- UI Element Management ---
+  /**
+   * Returns the idle label of a delete button: 'Retry failed (k)' when the selection
+   * consists only of items whose deletion failed, the regular label ('Delete (X)') otherwise.
+   * @param {Set<string>} selection The selected item IDs.
+   * @param {Map<string, string>} failures Failure reasons keyed by item ID.
+   * @param {string} labelKey The `translate` key of the regular label, e.g. 'deleteButton'.
+   * @returns {string} The button label.
+   */
+  function formatDeleteButtonLabel(selection, failures, labelKey) {
+    const selectedCount = selection.size;
+    const onlyFailedSelected = selectedCount > 0 && Array.from(selection).every(id => failures.has(id));
+    return translate(onlyFailedSelected ? 'retryFailedButton' : labelKey, { count: selectedCount });
+  }
+
+  /**
+   * Returns the idle label of the bulk delete button.
+   * @returns {string} The button label.
+   */
+  function getBulkDeleteButtonLabel() {
+    return formatDeleteButtonLabel(selectedMessages, failedMessages, 'deleteButton');
+  }
+
+  /**
+   * Formats the final status of a deletion run.
+   * @param {boolean} cancelled Whether the run was cancelled.
+   * @param {number} deletedCount Number of deleted items.
+   * @param {number} failedCount Number of items that failed.
+   * @param {number} skippedCount Number of items that weren't processed.
+   * @returns {string} The status text, e.g. 'Done: 3 deleted, 1 failed, 0 skipped'.
+   */
+  function formatRunSummary(cancelled, deletedCount, failedCount, skippedCount) {
+    return translate(cancelled ? 'summaryCancelled' : 'summaryDone', { deleted: deletedCount, failed: failedCount, skipped: skippedCount });
+  }
+
+  /**
+   * Updates the text, visibility, and disabled state of the bulk delete button
+   * based on the current selection count and confirmation state.
+   * Does nothing if the deletion process is actively running (`isBulkDeleting`).
+   */
+  function updateBulkDeleteButtonUI() {
+    if (bulkDeleteEnabled && !isBulkDeleting) {
+      announceSelectionCount();
+      dispatchSelectionChanged();
+    }
+    // Ensure button exists if mode is enabled, otherwise ignore.
+    if (bulkDeleteEnabled && (!bulkDeleteButton || !bulkDeleteButton.isConnected)) {
+      ensureBulkDeleteButtonExists();
+    }
+    // If button still doesn't exist (e.g., toolbar not found), exit.
+    if (!bulkDeleteButton || !bulkDeleteButton.isConnected) return;
+    // Prevent UI updates if the deletion loop is active.
+    if (isBulkDeleting) return;
+
+    const selectedCount = selectedMessages.size;
+    const buttonTextSpan = bulkDeleteButton.querySelector('span');
+
+    // Button should be visible if messages are selected OR if we are in the confirmation step
+    // Determine visibility: Show if messages are selected OR if confirming delete
+    bulkDeleteButton.style.display = (selectedCount > 0 || isConfirmingBulkDelete) ? 'inline-flex' : 'none';
+
+    // Update button text
+    if (buttonTextSpan) {
+        buttonTextSpan.textContent = isConfirmingBulkDelete ? translate('confirm') : getBulkDeleteButtonLabel();
+    }
+
+    // Update disabled state: Disable if no messages selected AND not in confirmation mode
+    bulkDeleteButton.disabled = selectedCount === 0 && !isConfirmingBulkDelete;
+  }
+
+  /**
+   * Creates a small button styled for the selection bar.
+   * @param {string} label The button text.
+   * @param {Function} onClick The click handler.
+   * @returns {HTMLButtonElement} The button element.
+   */
+  function createSelectionBarButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    // Matches the look of TypingMind's small secondary buttons
+    button.className = 'px-2 h-7 inline-flex items-center rounded-md text-xs font-semibold text-slate-700 dark:text-slate-200 hover:bg-slate-100 dark:hover:bg-white/10 transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Checks whether the viewport is narrow enough for the bottom action bar.
+   * @returns {boolean} True if `NARROW_VIEWPORT_QUERY` matches.
+   */
+  function isNarrowViewport() {
+    return window.matchMedia?.(NARROW_VIEWPORT_QUERY).matches ?? false;
+  }
+
+  /**
+   * Returns the bar fixed to the bottom of the viewport that holds the selection bar,
+   * the delete button and the run controls on narrow viewports, creating it if needed.
+   * @returns {?HTMLDivElement} The bottom action bar, or null on wide viewports.
+   */
+  function getMobileActionBar() {
+    if (!isNarrowViewport()) return null;
+    if (mobileActionBar?.isConnected) return mobileActionBar;
+    mobileActionBar = document.createElement('div');
+    mobileActionBar.id = 'bulk-delete-mobile-bar';
+    mobileActionBar.className = 'fixed inset-x-0 bottom-0 z-40 flex flex-col gap-1 px-2 pt-2 border-t border-slate-200 dark:border-white/10 bg-white dark:bg-slate-900 shadow-lg';
+    mobileActionBar.style.paddingBottom = 'calc(0.5rem + env(safe-area-inset-bottom))'; // Clear the home indicator
+    const actionsRow = document.createElement('div');
+    actionsRow.dataset.mobileBarActions = '';
+    actionsRow.className = 'flex items-center gap-2';
+    mobileActionBar.appendChild(actionsRow);
+    document.body.appendChild(mobileActionBar);
+    return mobileActionBar;
+  }
+
+  /**
+   * Moves the message controls between the toolbar and the bottom action bar when the
+   * viewport crosses `NARROW_VIEWPORT_QUERY` (rotation, window resize).
+   */
+  function handleViewportChange() {
+    if (!bulkDeleteEnabled || !bulkDeleteButton) return; // No controls shown
+    refreshMessageControls();
+    ensureRunControlsExist();
+    // The controls have moved out; drop the then empty bottom bar
+    if (mobileActionBar && !isNarrowViewport()) {
+      mobileActionBar.remove();
+      mobileActionBar = null;
+    }
+  }
+
+  /**
+   * Creates and injects the floating selection bar directly before the action button
+   * toolbar (or at the top of the bottom action bar on narrow viewports) if it doesn't
+   * exist or isn't connected.
+   */
+  function ensureSelectionToolbarExists() {
+    const mobileBar = getMobileActionBar();
+    const toolbar = document.querySelector(TOOLBAR_SELECTOR);
+    // Exit if the target toolbar isn't found (the bottom bar doesn't need it)
+    if (!mobileBar && !toolbar?.parentNode) {
+      if (selectionToolbar) selectionToolbar = null; // Clear reference if toolbar disappeared
+      return;
+    }
+    // Exit if the bar already exists and sits in its place
+    if (selectionToolbar?.isConnected && (mobileBar ? selectionToolbar.parentElement === mobileBar : selectionToolbar.nextElementSibling === toolbar)) return;
+    // Crossing the narrow breakpoint: move the bar, keeping its search text
+    if (selectionToolbar?.isConnected) {
+      if (mobileBar) mobileBar.prepend(selectionToolbar);
+      else toolbar.parentNode.insertBefore(selectionToolbar, toolbar);
+      return;
+    }
+    if (selectionToolbar) selectionToolbar.remove();
+
+    selectionToolbar = document.createElement('div');
+    selectionToolbar.id = 'bulk-delete-selection-toolbar';
+    selectionToolbar.className = 'flex flex-wrap items-center justify-center gap-1 w-fit mx-auto mb-2 p-1 rounded-lg border border-slate-200 dark:border-white/10 bg-white dark:bg-slate-900 shadow-md';
+
+    // Label key + predicate for each action
+    const actions = [
+      ['selectAll', () => true],
+      ['selectNone', null],
+      ['invertSelection', (block, uuid, isSelected) => !isSelected],
+      ['selectAssistantReplies', block => getMessageRole(block) === 'assistant'],
+      ['selectUserPrompts', block => getMessageRole(block) === 'user'],
+    ];
+    actions.forEach(([labelKey, predicate]) => {
+      selectionToolbar.appendChild(createSelectionBarButton(translate(labelKey), () => predicate ? applySelection(predicate) : clearSelection()));
+    });
+
+    // Export actions, separated from the selection actions
+    const separator = document.createElement('span');
+    separator.className = 'mx-1 h-4 w-px bg-slate-200 dark:bg-white/10';
+    selectionToolbar.appendChild(separator);
+    [['exportMarkdown', 'markdown'], ['exportJson', 'json']].forEach(([labelKey, format]) => {
+      const button = createSelectionBarButton(translate(labelKey), () => handleExportClick(format));
+      button.dataset.tooltipId = 'global';
+      button.dataset.tooltipContent = translate('exportTooltip');
+      selectionToolbar.appendChild(button);
+    });
+    const deleteAfterLabel = document.createElement('label');
+    deleteAfterLabel.className = 'px-2 h-7 inline-flex items-center gap-1 text-xs text-slate-700 dark:text-slate-200 cursor-pointer select-none';
+    deleteAfterLabel.innerHTML = `<input type="checkbox" name="bulk-delete-after-export" class="accent-red-600"> ${translate('deleteAfterExport')}`;
+    selectionToolbar.appendChild(deleteAfterLabel);
+
+    // Search: match a string or regex against every message in the chat
+    const searchSeparator = separator.cloneNode();
+    const searchInput = document.createElement('input');
+    searchInput.type = 'search';
+    searchInput.name = 'bulk-delete-search';
+    searchInput.placeholder = translate('searchPlaceholder');
+    searchInput.setAttribute('aria-label', translate('searchLabel'));
+    searchInput.className = 'h-7 w-40 px-2 rounded-md border border-slate-200 dark:border-white/10 bg-transparent text-xs text-slate-700 dark:text-slate-200 focus:outline-none focus:ring-1 focus:ring-blue-500';
+    searchInput.addEventListener('input', scheduleSearchPreview);
+    searchInput.addEventListener('keydown', event => {
+      if (event.key === 'Enter') applySearchSelection(!event.shiftKey); // Shift+Enter deselects
+    });
+    const regexLabel = document.createElement('label');
+    regexLabel.className = 'px-1 h-7 inline-flex items-center gap-1 text-xs text-slate-700 dark:text-slate-200 cursor-pointer select-none';
+    regexLabel.innerHTML = `<input type="checkbox" name="bulk-delete-search-regex" class="accent-blue-600"> ${translate('regex')}`;
+    regexLabel.querySelector('input').addEventListener('change', scheduleSearchPreview);
+    const countLabel = document.createElement('span');
+    countLabel.dataset.searchCount = '';
+    countLabel.className = 'px-1 text-xs text-slate-500 dark:text-slate-400 tabular-nums';
+    selectionToolbar.append(
+      searchSeparator,
+      searchInput,
+      regexLabel,
+      countLabel,
+      createSelectionBarButton(translate('selectMatches'), () => applySearchSelection(true)),
+      createSelectionBarButton(translate('deselectMatches'), () => applySearchSelection(false)),
+    );
+    // Pruning rules
+    const pruneButton = createSelectionBarButton(translate('prune'), () => openPrunePopover(pruneButton));
+    pruneButton.setAttribute('aria-haspopup', 'dialog');
+    // Settings, also on the toggle button's context menu
+    const settingsButton = createSelectionBarButton(translate('settings'), () => openSettingsPopover(settingsButton));
+    settingsButton.dataset.bulkDeleteSettings = '';
+    settingsButton.setAttribute('aria-haspopup', 'dialog');
+    selectionToolbar.append(separator.cloneNode(), pruneButton, settingsButton);
+
+    if (mobileBar) mobileBar.prepend(selectionToolbar);
+    else toolbar.parentNode.insertBefore(selectionToolbar, toolbar);
+  }
+
+  /**
+   * Removes the delete button, the floating selection bar and the bottom action bar if
+   * they exist.
+   */
+  function removeMessageControls() {
+    if (bulkDeleteButton) {
+      bulkDeleteButton.remove();
+      bulkDeleteButton = null;
+    }
+    if (selectionToolbar) {
+      selectionToolbar.remove();
+      selectionToolbar = null;
+    }
+    if (mobileActionBar) {
+      mobileActionBar.remove();
+      mobileActionBar = null;
+    }
+  }
+
+  /**
+   * Shows the 'Undo (Ns)' button in the action button toolbar while an undo snapshot
+   * for the current chat is within its undo window, and discards expired snapshots.
+   */
+  function ensureUndoButtonExists() {
+    if (isBulkDeleting) return; // Offered once the run is over
+    const snapshot = loadUndoSnapshot();
+    if (!snapshot?.expiresAt || snapshot.restoredAt) return; // No snapshot, its run hasn't finished, or it was restored
+    if (snapshot.expiresAt <= Date.now()) {
+      discardUndoSnapshot();
+      return;
+    }
+    if (snapshot.chatId !== getCurrentChatId()) return; // Only offer undo in the chat it belongs to
+
     const toolbar = document.querySelector(TOOLBAR_SELECTOR);
+    if (!toolbar) return;
+    if (!undoButton?.isConnected || undoButton.parentElement !== toolbar) {
+      if (undoButton) undoButton.remove();
+      undoButton = document.createElement('button');
+      undoButton.id = 'bulk-delete-undo-button';
+      // Secondary button styling (matches TypingMind's neutral buttons)
+      undoButton.className = `pl-2.5 pr-3.5 inline-flex items-center justify-center rounded-lg h-9 transition-all font-semibold text-xs border border-slate-300 dark:border-white/20 text-slate-700 dark:text-slate-200 hover:bg-slate-100 dark:hover:bg-white/10 disabled:cursor-not-allowed`;
+      undoButton.dataset.tooltipId = 'global';
+      undoButton.dataset.tooltipContent = translatePlural('undoTooltip', snapshot.entries.length);
+      undoButton.innerHTML = `<span class="antialiased text-center text-sm font-semibold leading-5">${translate('undoLabel')}</span>`;
+      undoButton.addEventListener('click', restoreUndoSnapshot);
+      toolbar.appendChild(undoButton);
+    }
+
+    // Count down the remaining time and drop the snapshot when the window closes
+    const updateCountdown = () => {
+      const remaining = Math.ceil((snapshot.expiresAt - Date.now()) / 1000);
+      if (remaining <= 0) {
+        discardUndoSnapshot();
+        return;
+      }
+      const span = undoButton?.querySelector('span');
+      if (!span || undoButton.disabled) return;
+      // The result of the run is shown first if it was carried across a reload
+      if (carriedRunStatus && carriedRunStatus.until === null) carriedRunStatus.until = Date.now() + carriedRunStatus.durationMs;
+      if (carriedRunStatus && Date.now() >= carriedRunStatus.until) carriedRunStatus = null;
+      span.textContent = carriedRunStatus ? carriedRunStatus.text : translate('undo', { seconds: remaining });
+    };
+    clearInterval(undoCountdownTimer);
+    undoCountdownTimer = setInterval(updateCountdown, 1000);
+    updateCountdown();
+  }
+
+  /**
+   * Creates a red delete button (trash icon + text span) styled like TypingMind's buttons.
+   * Shared by the message and chat list delete buttons.
+   * @param {string} id The element ID.
+   * @param {string} tooltipContent The tooltip text.
+   * @param {Function} onClick The click handler.
+   * @returns {HTMLButtonElement} The button element.
+   */
+  function createDeleteButton(id, tooltipContent, onClick) {
+    const button = document.createElement('button');
+    button.id = id;
+    // Apply necessary classes for styling (matches TypingMind's buttons)
+    button.className = `pl-2.5 pr-3.5 inline-flex items-center justify-center rounded-lg h-9 transition-all group font-semibold text-xs focus-visible:outline-offset-2 focus-visible:outline-red-500 bg-red-600 text-white hover:bg-red-700 active:bg-red-800 disabled:bg-slate-400 dark:disabled:bg-slate-600 disabled:text-slate-100 dark:disabled:text-slate-400 disabled:cursor-not-allowed`;
+    // Tooltip attributes
+    button.dataset.tooltipId = "global";
+    button.dataset.tooltipContent = tooltipContent;
+    // Initial content (icon + text span)
+    button.innerHTML = `<svg class="w-[18px] h-[18px] transition-all shrink-0" viewBox="0 0 18 18" xmlns="http://www.w3.org/2000/svg" fill="currentColor"><path d="m13.474,7.25l-.374,7.105c-.056,1.062-.934,1.895-1.997,1.895h-4.205c-1.064,0-1.941-.833-1.997-1.895l-.374-7.105" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5"></path><path d="m6.75,4.75v-2c0-.552.448-1,1-1h2.5c.552,0,1,.448,1,1v2" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5"></path><line fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5" x1="2.75" x2="15.25" y1="4.75" y2="4.75"></line></svg><span class="antialiased ml-1.5 text-center text-sm font-semibold leading-5">${translate('deleteButton', { count: 0 })}</span>`;
+    // Attach click handler
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Puts a delete button into its 'Sure?' confirmation state, keeping its width so it
+   * doesn't resize.
+   * @param {HTMLButtonElement} button The delete button.
+   * @param {Function} onExpire Called when the confirmation window ends without a second click.
+   * @returns {number} The ID of the confirmation timer.
+   */
+  function startDeleteConfirmation(button, onExpire) {
+    // Capture current width and set it explicitly to prevent resize
+    button.style.width = getComputedStyle(button).width;
+    // Update text to 'Sure?'
+    const buttonTextSpan = button.querySelector('span');
+    if (buttonTextSpan) buttonTextSpan.textContent = translate('confirm');
+    // Ensure button remains visible during confirmation
+    button.style.display = 'inline-flex';
+    // Start timer to automatically cancel confirmation after the configured window
+    return setTimeout(onExpire, getSettings().confirmWindowMs);
+  }
+
+  /**
+   * Creates and injects the bulk delete button into the UI if it doesn't exist or isn't connected.
+   * Finds the target toolbar using `TOOLBAR_SELECTOR`; on narrow viewports the button goes
+   * into the bottom action bar instead.
+   */
+  function ensureBulkDeleteButtonExists() {
+    const container = getMobileActionBar()?.querySelector('[data-mobile-bar-actions]') || document.querySelector(TOOLBAR_SELECTOR);
     // Exit if the target toolbar isn't found
-    if (!toolbar) {
+    if (!container) {
       if (bulkDeleteButton) bulkDeleteButton = null; // Clear reference if toolbar disappeared
       return;
     }
     // Exit if button already exists and is in the correct place
-    if (bulkDeleteButton?.isConnected && bulkDeleteButton.parentElement === toolbar) return;
-    // Remove existing button reference if it's disconnected or elsewhere
+    if (bulkDeleteButton?.isConnected && bulkDeleteButton.parentElement === container) return;
+    // Crossing the narrow breakpoint: move the button, so a running deletion keeps showing its progress
+    if (bulkDeleteButton?.isConnected) {
+      container.appendChild(bulkDeleteButton);
+      return;
+    }
+    // Remove existing button reference if it's disconnected
     if (bulkDeleteButton) bulkDeleteButton.remove();
 
     // Create the button element
-    bulkDeleteButton = document.createElement('button');
-    bulkDeleteButton.id = 'bulk-delete-button';
-    // Apply necessary classes for styling (matches TypingMind's buttons)
-    bulkDeleteButton.className = `pl-2.5 pr-3.5 inline-flex items-center justify-center rounded-lg h-9 transition-all group font-semibold text-xs focus-visible:outline-offset-2 focus-visible:outline-red-500 bg-red-600 text-white hover:bg-red-700 active:bg-red-800 disabled:bg-slate-400 dark:disabled:bg-slate-600 disabled:text-slate-100 dark:disabled:text-slate-400 disabled:cursor-not-allowed`;
-    // Tooltip attributes
-    bulkDeleteButton.dataset.tooltipId = "global";
-    bulkDeleteButton.dataset.tooltipContent = "Delete Selected Messages";
-    // Initial content (icon + text span)
-    bulkDeleteButton.innerHTML = `<svg class="w-[18px] h-[18px] transition-all shrink-0" viewBox="0 0 18 18" xmlns="http://www.w3.org/2000/svg" fill="currentColor"><path d="m13.474,7.25l-.374,7.105c-.056,1.062-.934,1.895-1.997,1.895h-4.205c-1.064,0-1.941-.833-1.997-1.895l-.374-7.105" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5"></path><path d="m6.75,4.75v-2c0-.552.448-1,1-1h2.5c.552,0,1,.448,1,1v2" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5"></path><line fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5" x1="2.75" x2="15.25" y1="4.75" y2="4.75"></line></svg><span class="antialiased ml-1.5 text-center text-sm font-semibold leading-5">Delete (0)</span>`;
-    // Attach click handler
-    bulkDeleteButton.addEventListener('click', handleBulkDeleteExecution);
+    bulkDeleteButton = createDeleteButton('bulk-delete-button', translate('deleteSelectedTooltip'), triggerBulkDeleteExecution);
     // Append to the toolbar
-    toolbar.appendChild(bulkDeleteButton);
+    container.appendChild(bulkDeleteButton);
     updateBulkDeleteButtonUI(); // Set initial state (likely hidden)
   }
 
+  /**
+   * Creates and injects the Pause/Resume and Cancel controls right after the bulk
+   * delete button while a UI-simulated deletion is running.
+   */
+  function ensureRunControlsExist() {
+    if (!bulkRunControl || !bulkDeleteButton?.isConnected) return;
+    if (runControls?.isConnected && runControls.previousElementSibling === bulkDeleteButton) return;
+    if (runControls) runControls.remove();
+
+    runControls = document.createElement('div');
+    runControls.id = 'bulk-delete-run-controls';
+    runControls.className = 'inline-flex items-center gap-1 ml-1';
+    const buttonClasses = 'px-2.5 inline-flex items-center justify-center rounded-lg h-9 transition-all font-semibold text-xs border border-slate-300 dark:border-white/20 text-slate-700 dark:text-slate-200 hover:bg-slate-100 dark:hover:bg-white/10';
+
+    const pauseButton = document.createElement('button');
+    pauseButton.type = 'button';
+    pauseButton.className = buttonClasses;
+    pauseButton.dataset.runControl = 'pause';
+    pauseButton.textContent = translate(bulkRunControl.paused ? 'resume' : 'pause');
+    pauseButton.addEventListener('click', togglePauseBulkRun);
+
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = buttonClasses;
+    cancelButton.dataset.runControl = 'cancel';
+    cancelButton.textContent = translate('cancel');
+    cancelButton.addEventListener('click', cancelBulkRun);
+
+    runControls.append(pauseButton, cancelButton);
+    bulkDeleteButton.after(runControls);
+  }
+
+  /**
+   * Removes the Pause/Resume and Cancel controls if they exist.
+   */
+  function removeRunControls() {
+    if (runControls) {
+      runControls.remove();
+      runControls = null;
+    }
+  }
+
+  /**
+   * Pauses the running deletion after the current message, or resumes a paused one.
+   */
+  function togglePauseBulkRun() {
+    if (!bulkRunControl || bulkRunControl.cancelled) return;
+    bulkRunControl.paused = !bulkRunControl.paused;
+    if (!bulkRunControl.paused && bulkRunControl.resumeRun) {
+      bulkRunControl.resumeRun();
+      bulkRunControl.resumeRun = null;
+    }
+    const pauseButton = runControls?.querySelector('[data-run-control="pause"]');
+    if (pauseButton) pauseButton.textContent = translate(bulkRunControl.paused ? 'resume' : 'pause');
+    announce(translate(bulkRunControl.paused ? 'pauseRequested' : 'deletionResumed'));
+  }
+
+  /**
+   * Stops the running deletion after the current message. Messages that haven't
+   * been processed yet stay selected.
+   */
+  function cancelBulkRun() {
+    if (!bulkRunControl) return;
+    bulkRunControl.cancelled = true;
+    // Wake a paused loop so it can exit
+    if (bulkRunControl.resumeRun) {
+      bulkRunControl.resumeRun();
+      bulkRunControl.resumeRun = null;
+    }
+    runControls?.querySelectorAll('button').forEach(button => { button.disabled = true; });
+    announce(translate('cancelRequested'));
+  }
+
   /**
    * Resets the bulk delete confirmation state (clears timer, resets button appearance).
    * Called when the timer expires, selection changes, or mode is toggled off.
@@ -360,7 +4665,7 @@
     }
     // Update button text and disabled state based on current selection
     const buttonTextSpan = bulkDeleteButton.querySelector('span');
-    if (buttonTextSpan) buttonTextSpan.textContent = `Delete (${selectedMessages.size})`;
+    if (buttonTextSpan) buttonTextSpan.textContent = getBulkDeleteButtonLabel();
     bulkDeleteButton.disabled = selectedMessages.size === 0;
     // Update visibility (will hide if selectedMessages is empty)
     updateBulkDeleteButtonUI();
@@ -372,7 +4677,6 @@
    */
   async function handleBulkDeleteExecution() {
     if (!bulkDeleteButton || !bulkDeleteButton.isConnected) return;
-    const buttonTextSpan = bulkDeleteButton.querySelector('span'); // Get text span reference
 
     // Ignore clicks if button is disabled (unless in confirmation state, where it shouldn't be disabled)
     if (bulkDeleteButton.disabled && !isConfirmingBulkDelete) return;
@@ -382,103 +4686,588 @@
 
 
     if (!isConfirmingBulkDelete) {
+      // --- First Click: Confirm in the preview dialog if configured ---
+      if (getSettings().confirmWithDialog) {
+        await openDeletePreviewDialog(selectedUuids);
+        return;
+      }
       // --- First Click: Enter Confirmation State ---
       isConfirmingBulkDelete = true;
-      // Capture current width and set it explicitly to prevent resize
-      const currentWidth = getComputedStyle(bulkDeleteButton).width;
-      bulkDeleteButton.style.width = currentWidth;
-      // Update text to 'Sure?'
-      if (buttonTextSpan) buttonTextSpan.textContent = 'Sure?';
-      // Ensure button remains visible during confirmation
-      bulkDeleteButton.style.display = 'inline-flex';
-
-      // Start timer to automatically cancel confirmation after 2 seconds
-      bulkDeleteConfirmTimer = setTimeout(() => {
-        resetBulkDeleteConfirmation(); // Reset if timer expires
-      }, 2000);
+      bulkDeleteConfirmTimer = startDeleteConfirmation(bulkDeleteButton, resetBulkDeleteConfirmation); // Reset if timer expires
 
     } else {
       // --- Second Click: Execute Deletion ---
       resetBulkDeleteConfirmation(); // Reset confirmation state immediately
 
-      isBulkDeleting = true; // Set flag to block UI updates during deletion
-      bulkDeleteButton.disabled = true; // Disable button during operation
-      if (buttonTextSpan) buttonTextSpan.textContent = 'Deleting...'; // Update text
-
-      let deletedCount = 0;
-      let failedCount = 0;
-      // Get message elements, filter out nulls, sort by document order (important for UI stability)
-      const sortedElements = selectedUuids
-          .map(uuid => document.querySelector(`[data-element-id="response-block"][data-message-uuid="${uuid}"]`))
-          .filter(el => el !== null)
-          .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1);
-
-      const totalToDelete = sortedElements.length;
-
-      // Process deletions in reverse document order to minimize UI shifts affecting subsequent elements
-      for (const element of sortedElements.reverse()) {
-          const uuid = element.dataset.messageUuid;
-        // Update button text to show progress
-        const currentProgress = deletedCount + failedCount + 1;
-        if (buttonTextSpan) buttonTextSpan.textContent = `Deleting... (${currentProgress}/${totalToDelete})`;
-
-        // Attempt to delete the message via UI simulation
-        if (await deleteMessageViaUI(element, uuid)) {
-          deletedCount++;
-          selectedMessages.delete(uuid); // Remove from selection set on success
-        } else {
-          failedCount++;
-          // If deletion failed but element still exists, reset its appearance
-          if (element?.isConnected) {
-             element.style.backgroundColor = '';
-             if (bulkDeleteEnabled) element.style.cursor = 'pointer';
-          }
-          // Still remove from selection set even if delete failed, to avoid retrying
-          selectedMessages.delete(uuid);
-        }
+      await runBulkDeletion(selectedUuids);
+    }
+  }
+
+  /**
+   * Runs `handleBulkDeleteExecution` for event handlers, which can't wait for it. Errors
+   * are handled by `handleBulkDeleteFailure` instead of becoming unhandled rejections.
+   * @returns {Promise<void>} A promise that resolves once the click has been handled.
+   */
+  function triggerBulkDeleteExecution() {
+    return handleBulkDeleteExecution().catch(handleBulkDeleteFailure);
+  }
+
+  /**
+   * Recovers from an error thrown while confirming or running a message deletion: logs it,
+   * ends the confirmation or the interrupted run and re-enables the delete button, so the
+   * messages that are still selected can be deleted again. No other run can be in progress
+   * here: the button is disabled while one runs, and every entry point checks for one first.
+   * @param {Error} error The error.
+   */
+  function handleBulkDeleteFailure(error) {
+    console.error('[BulkDelete] Error during bulk deletion:', error);
+    if (isConfirmingBulkDelete) resetBulkDeleteConfirmation();
+    if (bulkRunControl) {
+      bulkRunControl = null;
+      removeRunControls();
+    }
+    isBulkDeleting = false;
+    if (bulkDeleteButton?.isConnected) bulkDeleteButton.disabled = selectedMessages.size === 0;
+    updateBulkDeleteButtonUI();
+    announce(translate('deletionError'));
+  }
+
+  /**
+   * Opens a modal dialog in place of the inline 'Sure?' confirmation. It lists every
+   * selected message with its position, role and a content snippet, shows totals by role
+   * and an approximate size, and lets the user uncheck messages before confirming.
+   * Unchecked messages are deselected when the deletion is confirmed.
+   * @param {string[]} selectedUuids UUIDs of the selected messages.
+   * @returns {Promise<void>} A promise that resolves once the dialog is showing.
+   */
+  async function openDeletePreviewDialog(selectedUuids) {
+    const messages = await getAllChatMessages();
+    const positions = new Map(messages.map((message, index) => [message.uuid, index]));
+    const messagesByUuid = new Map(messages.map(message => [message.uuid, message]));
+    // Chat order; messages that can't be found go last
+    const rows = selectedUuids
+      .map(uuid => ({ uuid, message: messagesByUuid.get(uuid) || null, position: positions.has(uuid) ? positions.get(uuid) : Infinity }))
+      .sort((a, b) => a.position - b.position);
+
+    const dialog = openModal('bulk-delete-preview-dialog');
+    const title = dialog.querySelector('h2');
+    const totals = document.createElement('div');
+    totals.className = 'px-4 pt-1 pb-2 text-xs text-slate-500 dark:text-slate-400';
+    totals.setAttribute('aria-live', 'polite');
+    const list = document.createElement('ul');
+    list.className = 'flex-1 overflow-y-auto px-4 py-2 border-y border-slate-200 dark:border-white/10 space-y-1';
+
+    rows.forEach(({ uuid, message, position }) => {
+      const item = document.createElement('li');
+      const label = document.createElement('label');
+      label.className = 'flex items-start gap-2 p-1 rounded-md cursor-pointer hover:bg-slate-100 dark:hover:bg-white/5';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = true;
+      checkbox.value = uuid;
+      checkbox.className = 'mt-0.5 accent-red-600';
+      checkbox.addEventListener('change', updateTotals);
+      const text = document.createElement('span');
+      text.className = 'min-w-0';
+      const heading = document.createElement('span');
+      heading.className = 'block text-xs font-semibold';
+      heading.textContent = message
+        ? translate('previewPosition', { position: position + 1, total: messages.length, role: translateRole(message.role || 'unknown') })
+        : translate('previewNotFound');
+      const snippet = document.createElement('span');
+      snippet.className = 'block truncate text-xs text-slate-500 dark:text-slate-400';
+      snippet.textContent = message ? getMessageSnippet(message) : uuid;
+      text.append(heading, snippet);
+      label.append(checkbox, text);
+      item.appendChild(label);
+      list.appendChild(item);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'flex justify-end gap-2 p-3';
+    const cancelButton = createSelectionBarButton(translate('cancel'), closeModal);
+    const confirmButton = createDeleteButton('bulk-delete-preview-confirm', translate('deleteCheckedTooltip'), () => {
+      const checkedUuids = Array.from(list.querySelectorAll('input:checked'), checkbox => checkbox.value);
+      if (checkedUuids.length === 0) return;
+      // Unchecked messages leave the selection
+      const checked = new Set(checkedUuids);
+      const chatId = getCurrentChatId();
+      const blocksByUuid = getMessageBlocksByUuid();
+      selectedUuids.filter(uuid => !checked.has(uuid)).forEach(uuid => setMessageSelectedByUuid(uuid, false, blocksByUuid, chatId));
+      closeModal();
+      updateBulkDeleteButtonUI();
+      runBulkDeletion(checkedUuids).catch(handleBulkDeleteFailure);
+    });
+    actions.append(cancelButton, confirmButton);
+
+    /** Recomputes the title, role totals and approximate size from the checked messages. */
+    function updateTotals() {
+      const checkedUuids = new Set(Array.from(list.querySelectorAll('input:checked'), checkbox => checkbox.value));
+      const roleCounts = new Map();
+      let characterCount = 0;
+      rows.filter(row => checkedUuids.has(row.uuid)).forEach(({ message }) => {
+        const role = message?.role || 'unknown';
+        roleCounts.set(role, (roleCounts.get(role) || 0) + 1);
+        characterCount += message ? getMessageText(message).length : 0;
+      });
+      title.textContent = translatePlural('previewTitle', rows.length, { checked: checkedUuids.size });
+      // Roughly 4 characters per token for English text
+      const size = translate('previewSize', { characters: characterCount.toLocaleString(), tokens: Math.ceil(characterCount / 4).toLocaleString() });
+      totals.textContent = `${Array.from(roleCounts, ([role, count]) => `${count} ${translateRole(role)}`).join(', ') || translate('previewNothingChecked')} · ${size}`;
+      confirmButton.querySelector('span').textContent = translate('deleteButton', { count: checkedUuids.size });
+      confirmButton.disabled = checkedUuids.size === 0;
+    }
+    updateTotals();
+
+    dialog.append(totals, list, actions);
+    (confirmButton.disabled ? cancelButton : confirmButton).focus();
+  }
+
+  /**
+   * Opens an empty modal dialog with a title over a dimmed backdrop, closing any other
+   * modal first. It closes on Escape or a click on the backdrop, keeps Tab inside itself
+   * and returns focus to the previously focused element when closed.
+   * @param {string} id The element ID of the overlay; the title gets `${id}-title`.
+   * @param {string} [title=''] The title; callers may also set it later.
+   * @returns {HTMLDivElement} The dialog, already in the document; append its content to it.
+   */
+  function openModal(id, title = '') {
+    closeModal();
+    const returnFocusTo = document.activeElement;
+    activeModal = document.createElement('div');
+    activeModal.id = id;
+    activeModal.className = 'fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4';
+    const dialog = document.createElement('div');
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', `${id}-title`);
+    dialog.className = 'flex flex-col w-full max-w-lg max-h-[80vh] rounded-lg border border-slate-200 dark:border-white/10 bg-white dark:bg-slate-900 shadow-xl text-sm text-slate-700 dark:text-slate-200';
+    const titleElement = document.createElement('h2');
+    titleElement.id = `${id}-title`;
+    titleElement.className = 'px-4 pt-4 font-semibold text-base';
+    titleElement.textContent = title;
+    dialog.appendChild(titleElement);
+    activeModal.appendChild(dialog);
 
-        // Add a delay between deleting items to avoid overwhelming the UI/rate limits
-        const delayBetweenItems = 1500; // Adjust delay as needed
-        if (deletedCount + failedCount < totalToDelete) {
-          await new Promise(resolve => setTimeout(resolve, delayBetweenItems));
+    // Close on a click on the backdrop, on Escape; keep Tab inside the dialog
+    activeModal.addEventListener('mousedown', event => {
+      if (event.target === activeModal) closeModal();
+    });
+    activeModal.addEventListener('keydown', event => {
+      if (event.key === 'Escape') {
+        event.stopPropagation();
+        closeModal();
+      } else if (event.key === 'Tab') {
+        const focusable = Array.from(dialog.querySelectorAll('input, select, button:not([disabled])'));
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (event.shiftKey && document.activeElement === first) {
+          event.preventDefault();
+          last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+          event.preventDefault();
+          first.focus();
         }
       }
+    });
+    activeModal.returnFocusTo = returnFocusTo;
+    document.body.appendChild(activeModal);
+    return dialog;
+  }
+
+  /**
+   * Closes the open modal dialog, if any, and returns focus to where it was.
+   */
+  function closeModal() {
+    if (!activeModal) return;
+    const { returnFocusTo, onClose } = activeModal;
+    activeModal.remove();
+    activeModal = null;
+    if (returnFocusTo?.isConnected) returnFocusTo.focus();
+    onClose?.(); // Set by dialogs that wait for an answer
+  }
+
+  /**
+   * @typedef {Object} DeletionReport
+   * @property {?string} chatId The chat the messages were deleted from.
+   * @property {string} method 'store' (data store transaction) or 'ui' (UI simulation).
+   * @property {boolean} cancelled Whether the run was cancelled.
+   * @property {string[]} deleted UUIDs of the deleted messages.
+   * @property {Array<{uuid: string, error: string}>} failed Messages that couldn't be deleted, with the reason.
+   * @property {string[]} skipped UUIDs of the messages that weren't processed (after a cancel).
+   * @property {string[]} protected UUIDs of protected messages that were refused.
+   */
+
+  /**
+   * Runs the deletion loop for the given messages, updating the bulk delete button
+   * (if it is shown) with progress and a final "Done" status. Protected messages are
+   * refused and deselected, however they got into the list.
+   * @param {string[]} selectedUuids UUIDs of the messages to delete.
+   * @returns {Promise<?DeletionReport>} The per-message result, or null if another deletion (or the
+   *     diagnostics' menu flow check) is already running.
+   */
+  async function runBulkDeletion(selectedUuids) {
+    if (isBulkDeleting || isChatDeleting || isRunningDiagnostics) return null;
+    const chatId = getCurrentChatId();
+    const protectedUuids = selectedUuids.filter(uuid => isMessageProtected(uuid, chatId));
+    if (protectedUuids.length > 0) {
+      console.warn(`[BulkDelete] Refusing to delete ${protectedUuids.length} protected message(s).`);
+      const blocksByUuid = getMessageBlocksByUuid();
+      protectedUuids.forEach(uuid => setMessageSelectedByUuid(uuid, false, blocksByUuid, chatId));
+      selectedUuids = selectedUuids.filter(uuid => !protectedUuids.includes(uuid));
+      updateBulkDeleteButtonUI();
+      if (selectedUuids.length === 0) {
+        announce(translate('allProtected'));
+        return { chatId, method: null, cancelled: false, deleted: [], failed: [], skipped: [], protected: protectedUuids };
+      }
+    }
+    // The button may be missing when the run was started through the public API
+    const buttonTextSpan = bulkDeleteButton?.isConnected ? bulkDeleteButton.querySelector('span') : null;
+
+    isBulkDeleting = true; // Set flag to block UI updates during deletion
+    if (bulkDeleteButton) bulkDeleteButton.disabled = true; // Disable button during operation
+    if (buttonTextSpan) buttonTextSpan.textContent = translate('deleting'); // Update text
+
+    let deletedCount = 0;
+    let failedCount = 0;
+    const deletedUuids = [];
+    const report = { chatId, method: 'store', cancelled: false, deleted: deletedUuids, failed: [], skipped: [], protected: protectedUuids };
+
+    // Keep a copy of everything that's about to go so the deletion can be undone
+    discardUndoSnapshot(); // Only the latest run can be undone
+    await saveUndoSnapshot(chatId, selectedUuids);
+    const auditDetails = await captureAuditDetails(chatId, selectedUuids); // Roles and snippets for the deletion log
+
+    // Preferred backend: remove everything from the stored chat in one transaction, then reload
+    if (getSettings().useDataStore && chatId && await deleteMessagesViaStore(chatId, selectedUuids)) {
+      selectedUuids.forEach(uuid => selectedMessages.delete(uuid));
+      finalizeUndoSnapshot(selectedUuids);
+      deletedUuids.push(...selectedUuids);
+      recordAuditRun(report, auditDetails);
+      announce(translate('doneReloading', { count: selectedUuids.length }));
+      dispatchBulkDeleteEvent('delete-complete', { type: 'message', ...report });
+      // Reload right away: until TypingMind re-reads the chat, any write-back of its
+      // in-memory copy (a finished reply, sync, a title change) puts the messages back.
+      // The "Done" status is shown after the reload, once the record has been checked
+      carryRunStatusAcrossReload(chatId, selectedUuids);
+      refreshChatView();
+      return report;
+    }
+    report.method = 'ui';
+
+    // Fallback: simulate the UI clicks for each message
+    // Get message elements sorted by document order (important for UI stability)
+    const sortedElements = getMessageElementsInOrder(selectedUuids);
+    const totalToDelete = selectedUuids.length;
+    // Messages selected without being rendered (e.g. by search) can't be clicked; keep them for a retry
+    const renderedUuids = new Set(sortedElements.map(element => element.dataset.messageUuid));
+    selectedUuids.filter(uuid => !renderedUuids.has(uuid)).forEach(uuid => {
+      const error = translate('failureNotRendered');
+      failedMessages.set(uuid, error);
+      report.failed.push({ uuid, error });
+      failedCount++;
+    });
+    // Quiet period required before moving on; adapts to how quickly deletions are confirmed
+    const { minItemDelay, maxItemDelay } = getSettings();
+    let itemDelay = minItemDelay;
+    bulkRunControl = { paused: false, cancelled: false, resumeRun: null };
+    ensureRunControlsExist();
+
+    // Process deletions in reverse document order to minimize UI shifts affecting subsequent elements
+    for (const element of sortedElements.reverse()) {
+      const uuid = element.dataset.messageUuid;
+      const currentProgress = deletedCount + failedCount + 1;
+      // Pause and cancel take effect between items
+      if (bulkRunControl.paused && !bulkRunControl.cancelled) {
+        if (buttonTextSpan) buttonTextSpan.textContent = translate('paused', { current: currentProgress - 1, total: totalToDelete });
+        await new Promise(resolve => { bulkRunControl.resumeRun = resolve; });
+      }
+      if (bulkRunControl.cancelled) break; // Remaining messages stay selected
+      // Update button text to show progress
+      if (buttonTextSpan) buttonTextSpan.textContent = translate('deletingProgress', { current: currentProgress, total: totalToDelete });
+      announce(translate('deletingMessage', { current: currentProgress, total: totalToDelete }));
+
+      // Attempt to delete the message via UI simulation
+      const timings = {};
+      const result = await deleteMessageViaUI(element, uuid, timings);
+      // Back off when the UI is slow to confirm (or fails), speed up again when it keeps up
+      if (!result.success || timings.confirmationMs > SLOW_CONFIRMATION_THRESHOLD) {
+        itemDelay = Math.min(itemDelay * 2, maxItemDelay);
+      } else {
+        itemDelay = Math.max(itemDelay / 2, minItemDelay);
+      }
+
+      if (result.success) {
+        deletedCount++;
+        deletedUuids.push(uuid);
+        selectedMessages.delete(uuid); // Remove from selection set on success
+        failedMessages.delete(uuid);
+      } else {
+        failedCount++;
+        // Keep the message selected and mark it so it can be retried
+        const error = result.error || translate('failureUnknown');
+        failedMessages.set(uuid, error);
+        report.failed.push({ uuid, error });
+        if (element?.isConnected) applyMessageHighlight(element, uuid, chatId);
+      }
+      dispatchBulkDeleteEvent('delete-progress', {
+        type: 'message', id: uuid, success: result.success, error: result.error,
+        current: deletedCount + failedCount, total: totalToDelete,
+      });
+
+      // Move on once the UI has settled, to avoid overwhelming it
+      if (deletedCount + failedCount < totalToDelete && !bulkRunControl.cancelled) {
+        await waitForDomSettled(document.querySelector('main') || document.body, itemDelay, itemDelay + maxItemDelay);
+      }
+    }
+
+    // --- Post-Deletion Handling ---
+    const wasCancelled = bulkRunControl.cancelled;
+    const skippedCount = totalToDelete - deletedCount - failedCount;
+    bulkRunControl = null;
+    removeRunControls();
+    finalizeUndoSnapshot(deletedUuids); // Offer undo for what was actually deleted
+    const summary = formatRunSummary(wasCancelled, deletedCount, failedCount, skippedCount);
+    if (failedCount > 0) console.warn(`[BulkDelete] ${summary}`);
+    announce(summary);
+    const processedUuids = new Set(deletedUuids.concat(report.failed.map(failure => failure.uuid)));
+    report.cancelled = wasCancelled;
+    report.skipped = selectedUuids.filter(uuid => !processedUuids.has(uuid));
+    recordAuditRun(report, auditDetails);
+    dispatchBulkDeleteEvent('delete-complete', { type: 'message', ...report });
+
+    // Re-enable button after deletion loop completes BEFORE setting text/delay
+    if (bulkDeleteButton?.isConnected) {
+       bulkDeleteButton.disabled = false; // Re-enable
+    }
 
-      // --- Post-Deletion Handling ---
-      // Re-enable button after deletion loop completes BEFORE setting text/delay
+    // --- Corrected "Done" Status Logic ---
+    const { showDoneStatus, doneStatusMs, stayInBulkMode } = getSettings();
+    // Leave bulk mode after a clean run, unless configured to stay or failed/skipped messages are still selected
+    const exitBulkMode = !stayInBulkMode && failedCount === 0 && skippedCount === 0;
+
+    if (showDoneStatus && buttonTextSpan && bulkDeleteButton?.isConnected) {
+       // Show "Done" status
+       buttonTextSpan.textContent = summary;
+       bulkDeleteButton.style.display = 'inline-flex'; // Force visible
+
+       // After delay, clear flag and update UI
+       setTimeout(() => {
+         isBulkDeleting = false; // Clear flag *after* delay
+         ensureUndoButtonExists();
+         if (bulkDeleteButton?.isConnected) {
+              updateBulkDeleteButtonUI(); // Update text/visibility (will likely hide button)
+         }
+         // Toggle off mode after showing status
+         if (bulkDeleteEnabled && exitBulkMode) toggleBulkDeleteMode();
+       }, doneStatusMs);
+
+    } else {
+      // If not showing "Done" status, clear flag and update UI immediately
+      isBulkDeleting = false; // Clear flag now
+      ensureUndoButtonExists();
       if (bulkDeleteButton?.isConnected) {
-         bulkDeleteButton.disabled = false; // Re-enable
+          updateBulkDeleteButtonUI(); // Update UI immediately
       }
+      // Toggle off mode immediately
+      if (bulkDeleteEnabled && exitBulkMode) toggleBulkDeleteMode();
+    }
+    // --- End Corrected Logic ---
+    return report;
+  }
+
+  /**
+   * Creates and injects the floating chat list bar (age filter, "Select none" and the
+   * "Delete chats (X)" button) if it doesn't exist and chat entries are on screen.
+   */
+  function ensureChatBulkBarExists() {
+    if (chatBulkBar?.isConnected) return;
+    if (!document.querySelector(CHAT_ITEM_SELECTOR)) return; // No chat list to act on
+
+    chatBulkBar = document.createElement('div');
+    chatBulkBar.id = 'bulk-delete-chat-bar';
+    chatBulkBar.className = 'fixed bottom-4 left-4 z-50 flex flex-wrap items-center gap-1 p-1 rounded-lg border border-slate-200 dark:border-white/10 bg-white dark:bg-slate-900 shadow-md';
+    chatBulkBar.setAttribute('role', 'toolbar');
+    chatBulkBar.setAttribute('aria-label', translate('chatBar'));
+
+    const ageInput = document.createElement('input');
+    ageInput.type = 'number';
+    ageInput.name = 'bulk-delete-chat-age';
+    ageInput.min = '0';
+    ageInput.value = String(DEFAULT_CHAT_AGE_DAYS);
+    ageInput.setAttribute('aria-label', translate('ageInDays'));
+    ageInput.className = 'h-7 w-14 px-2 rounded-md border border-slate-200 dark:border-white/10 bg-transparent text-xs text-slate-700 dark:text-slate-200 focus:outline-none focus:ring-1 focus:ring-blue-500';
+    ageInput.addEventListener('keydown', event => {
+      if (event.key === 'Enter') selectChatsOlderThan(ageInput.valueAsNumber);
+    });
+    const daysLabel = document.createElement('span');
+    daysLabel.className = 'pr-1 text-xs text-slate-500 dark:text-slate-400';
+    daysLabel.textContent = translate('days');
+
+    chatDeleteButton = createDeleteButton('bulk-delete-chats-button', translate('deleteChatsTooltip'), handleChatDeleteExecution);
+    chatBulkBar.append(
+      createSelectionBarButton(translate('selectOlderThan'), () => selectChatsOlderThan(ageInput.valueAsNumber)),
+      ageInput,
+      daysLabel,
+      createSelectionBarButton(translate('selectNone'), clearChatSelection),
+      chatDeleteButton,
+    );
+    document.body.appendChild(chatBulkBar);
+  }
+
+  /**
+   * Updates the text, visibility, and disabled state of the chat delete button, like
+   * `updateBulkDeleteButtonUI` does for messages.
+   * Does nothing if the chat deletion loop is running (`isChatDeleting`).
+   */
+  function updateChatDeleteButtonUI() {
+    if (!chatDeleteButton?.isConnected || isChatDeleting) return;
+    const selectedCount = selectedChats.size;
+    const buttonTextSpan = chatDeleteButton.querySelector('span');
+    chatDeleteButton.style.display = (selectedCount > 0 || isConfirmingChatDelete) ? 'inline-flex' : 'none';
+    if (buttonTextSpan) {
+      buttonTextSpan.textContent = isConfirmingChatDelete ? translate('confirm') : formatDeleteButtonLabel(selectedChats, failedChats, 'deleteChatsButton');
+    }
+    chatDeleteButton.disabled = selectedCount === 0 && !isConfirmingChatDelete;
+  }
+
+  /**
+   * Resets the chat delete confirmation state (clears timer, resets button appearance).
+   */
+  function resetChatDeleteConfirmation() {
+    clearTimeout(chatDeleteConfirmTimer);
+    chatDeleteConfirmTimer = null;
+    isConfirmingChatDelete = false;
+    if (!chatDeleteButton?.isConnected) return;
+    chatDeleteButton.style.width = ''; // Reset dynamic width
+    updateChatDeleteButtonUI();
+  }
+
+  /**
+   * Handles clicks on the chat delete button with the same two-step confirmation as
+   * `handleBulkDeleteExecution`.
+   */
+  async function handleChatDeleteExecution() {
+    if (!chatDeleteButton?.isConnected) return;
+    if (chatDeleteButton.disabled && !isConfirmingChatDelete) return;
+    const selectedChatIds = Array.from(selectedChats);
+    if (selectedChatIds.length === 0 && !isConfirmingChatDelete) return;
+
+    if (!isConfirmingChatDelete) {
+      // --- First Click: Enter Confirmation State ---
+      isConfirmingChatDelete = true;
+      chatDeleteConfirmTimer = startDeleteConfirmation(chatDeleteButton, resetChatDeleteConfirmation);
+    } else {
+      // --- Second Click: Execute Deletion ---
+      resetChatDeleteConfirmation();
+      await runChatDeletion(selectedChatIds);
+    }
+  }
 
-      // --- Corrected "Done" Status Logic ---
-      const showDoneStatus = true; // Set to false to disable "Done" message
+  /**
+   * Deletes the given chats one by one through the sidebar UI, updating the chat delete
+   * button with progress and a final "Done" status, and records the run in the deletion
+   * log. Chats that fail stay selected and are marked for a retry. Chats with protected
+   * messages are deselected and skipped, so no protection is left behind for a deleted
+   * chat; the pruning rules of deleted chats are removed.
+   * @param {string[]} chatIds IDs of the chats to delete.
+   */
+  async function runChatDeletion(chatIds) {
+    if (!chatDeleteButton?.isConnected || isChatDeleting || isBulkDeleting || isRunningDiagnostics) return;
+    // Deleting a chat deletes its protected messages too, so those chats are left alone
+    const protectedChatIds = chatIds.filter(chatId => getProtectedMessages(chatId).size > 0);
+    if (protectedChatIds.length > 0) {
+      console.warn(`[BulkDelete] Skipping ${protectedChatIds.length} chat(s) with protected messages.`);
+      protectedChatIds.forEach(chatId => {
+        selectedChats.delete(chatId);
+        failedChats.delete(chatId);
+      });
+      getChatItems().filter(item => protectedChatIds.includes(item.dataset.chatId))
+        .forEach(item => applyChatHighlight(item, item.dataset.chatId));
+      chatIds = chatIds.filter(chatId => !protectedChatIds.includes(chatId));
+      if (chatIds.length === 0) {
+        updateChatDeleteButtonUI();
+        announce(translate('allChatsProtected'));
+        return;
+      }
+    }
+    const buttonTextSpan = chatDeleteButton.querySelector('span');
+    isChatDeleting = true; // Block selection changes and UI updates during deletion
+    chatDeleteButton.disabled = true;
+    if (buttonTextSpan) buttonTextSpan.textContent = translate('deleting');
 
-      if (showDoneStatus && buttonTextSpan && bulkDeleteButton?.isConnected) {
-         // Show "Done" status
-         buttonTextSpan.textContent = `Done (${deletedCount}/${totalToDelete})`;
-         bulkDeleteButton.style.display = 'inline-flex'; // Force visible
+    let deletedCount = 0;
+    let failedCount = 0;
+    const totalToDelete = chatIds.length;
+    // Titles for the deletion log, while the chats are still listed
+    const chatTitles = new Map(getChatItems().filter(item => chatIds.includes(item.dataset.chatId))
+      .map(item => [item.dataset.chatId, findChatData(item)?.chatTitle || item.textContent.trim()]));
+    // Delete the open chat last, since TypingMind navigates away from it once it's gone
+    const openChatId = getCurrentChatId();
+    const orderedChatIds = chatIds.filter(chatId => chatId !== openChatId).concat(chatIds.filter(chatId => chatId === openChatId));
 
-         // After delay, clear flag and update UI
-         setTimeout(() => {
-           isBulkDeleting = false; // Clear flag *after* delay
-           if (bulkDeleteButton?.isConnected) {
-                updateBulkDeleteButtonUI(); // Update text/visibility (will likely hide button)
-           }
-           // Optionally toggle off mode after showing status
-           if (bulkDeleteEnabled) toggleBulkDeleteMode();
-         }, 1500);
+    for (const chatId of orderedChatIds) {
+      const currentProgress = deletedCount + failedCount + 1;
+      if (buttonTextSpan) buttonTextSpan.textContent = translate('deletingProgress', { current: currentProgress, total: totalToDelete });
+      announce(translate('deletingChat', { current: currentProgress, total: totalToDelete }));
 
+      const item = getChatItems().find(chatItem => chatItem.dataset.chatId === chatId);
+      const result = item
+        ? await deleteChatViaUI(item, chatId)
+        : { success: false, error: translate('failureChatNotListed') };
+      if (result.success) {
+        deletedCount++;
+        selectedChats.delete(chatId);
+        failedChats.delete(chatId);
+        savedSelections.delete(chatId); // Its messages are gone too
+        savePruneRules(chatId, null); // Its own pruning rules have nothing left to prune
       } else {
-        // If not showing "Done" status, clear flag and update UI immediately
-        isBulkDeleting = false; // Clear flag now
-        if (bulkDeleteButton?.isConnected) {
-            updateBulkDeleteButtonUI(); // Update UI immediately
-        }
-        // Optionally toggle off mode immediately
-        if (bulkDeleteEnabled) toggleBulkDeleteMode();
+        failedCount++;
+        // Keep the chat selected and mark it so it can be retried
+        failedChats.set(chatId, result.error || translate('failureUnknown'));
+        if (item?.isConnected) applyChatHighlight(item, chatId);
+      }
+      dispatchBulkDeleteEvent('delete-progress', {
+        type: 'chat', id: chatId, success: result.success, error: result.error,
+        current: deletedCount + failedCount, total: totalToDelete,
+      });
+
+      // Move on once the chat list has settled, to avoid overwhelming the UI
+      if (deletedCount + failedCount < totalToDelete) {
+        await waitForDomSettled(document.querySelector(CHAT_ITEM_SELECTOR)?.closest('nav, aside') || document.body, getSettings().minItemDelay, getSettings().minItemDelay + getSettings().maxItemDelay);
+      }
+    }
+
+    // --- Post-Deletion Handling ---
+    const summary = formatRunSummary(false, deletedCount, failedCount, protectedChatIds.length);
+    if (failedCount > 0) console.warn(`[BulkDelete] Chats: ${summary}`);
+    announce(protectedChatIds.length > 0 ? `${summary} · ${translatePlural('chatsProtectedSkipped', protectedChatIds.length)}` : summary);
+    recordChatAuditRun(chatIds, chatTitles, new Map(chatIds.filter(chatId => failedChats.has(chatId)).map(chatId => [chatId, failedChats.get(chatId)])));
+    dispatchBulkDeleteEvent('delete-complete', {
+      type: 'chat',
+      method: 'ui',
+      cancelled: false,
+      deleted: chatIds.filter(chatId => !selectedChats.has(chatId)),
+      failed: chatIds.filter(chatId => failedChats.has(chatId)).map(chatId => ({ id: chatId, error: failedChats.get(chatId) })),
+      skipped: protectedChatIds,
+    });
+    const { showDoneStatus, doneStatusMs } = getSettings();
+    if (chatDeleteButton?.isConnected) {
+      chatDeleteButton.disabled = false;
+      if (showDoneStatus && buttonTextSpan) {
+        buttonTextSpan.textContent = summary;
+        chatDeleteButton.style.display = 'inline-flex'; // Force visible
       }
-      // --- End Corrected Logic ---
     }
+    // After a delay, clear the flag and update the UI (hides the button unless chats failed)
+    setTimeout(() => {
+      isChatDeleting = false;
+      if (bulkDeleteEnabled) {
+        updateChatDeleteButtonUI();
+      } else {
+        disableChatSelection(); // Mode was switched off during the run
+      }
+    }, showDoneStatus ? doneStatusMs : 0);
   }
 
   /**
@@ -491,6 +5280,225 @@
         // Apply a subtle background when enabled, remove when disabled
         span.style.backgroundColor = bulkDeleteEnabled ? 'rgba(239, 68, 68, 0.2)' : ''; // Red tint
       }
+      toggleButton.setAttribute('aria-pressed', String(bulkDeleteEnabled)); // Expose state to assistive tech
+      // Warning badge while bulk delete mode is on and the last diagnostics run found problems
+      const showWarning = bulkDeleteEnabled && lastDiagnosticsReport?.failed > 0;
+      let badge = toggleButton.querySelector('[data-bulk-delete-warning]');
+      if (showWarning && !badge && span) {
+        badge = document.createElement('span');
+        badge.dataset.bulkDeleteWarning = 'true';
+        badge.className = 'absolute top-0 right-0 w-2 h-2 rounded-full bg-amber-500 ring-2 ring-white dark:ring-slate-900 pointer-events-none';
+        badge.setAttribute('aria-hidden', 'true');
+        span.appendChild(badge);
+      } else if (!showWarning) {
+        badge?.remove();
+      }
+      const warning = showWarning ? translatePlural('diagnosticsWarning', lastDiagnosticsReport.failed) : '';
+      toggleButton.setAttribute('aria-label', translate('toggleLabel'));
+      toggleButton.setAttribute('data-tooltip-content', translate('toggleTooltip', { shortcut: TOGGLE_SHORTCUT }) + (warning && ` · ${warning}`));
+      if (showWarning) {
+        toggleButton.setAttribute('aria-description', warning);
+      } else {
+        toggleButton.removeAttribute('aria-description');
+      }
+    }
+  }
+
+  /**
+   * Opens the settings popover below the toggle button, or closes it if it is open.
+   * Bound to the toggle button's context menu (right-click, or Shift+F10 / the Menu key).
+   * @param {MouseEvent} event The contextmenu event object.
+   */
+  function toggleSettingsPopover(event) {
+    event.preventDefault(); // Don't show the browser's context menu
+    if (activePopover?.id === 'bulk-delete-settings-popover') {
+      closePopover();
+    } else {
+      openSettingsPopover();
+    }
+  }
+
+  /**
+   * Builds and shows the settings popover next to the toggle button or the selection bar's
+   * "Settings..." button. Each field is saved (and applied) as soon as it changes.
+   * @param {?HTMLElement} [anchor=toggleButton] The element the popover belongs to.
+   */
+  function openSettingsPopover(anchor = toggleButton) {
+    if (!anchor?.isConnected) return;
+    const current = getSettings();
+    const popover = openPopover('bulk-delete-settings-popover', translate('settingsTitle'), anchor);
+
+    SETTINGS_FIELDS.forEach(({ key, labelKey, type, min }) => {
+      const row = document.createElement('label');
+      row.className = 'flex items-center justify-between gap-2 cursor-pointer';
+      const input = document.createElement('input');
+      input.type = type;
+      input.name = `bulk-delete-setting-${key}`;
+      if (type === 'checkbox') {
+        input.checked = current[key];
+        input.className = 'accent-red-600';
+      } else {
+        input.value = String(current[key]);
+        input.className = type === 'color'
+          ? 'h-6 w-10 p-0 border-0 bg-transparent cursor-pointer'
+          : 'h-7 w-20 px-2 rounded-md border border-slate-200 dark:border-white/10 bg-transparent text-right focus:outline-none focus:ring-1 focus:ring-blue-500';
+        if (type === 'number') {
+          input.min = String(min);
+          input.step = '100';
+        }
+      }
+      input.addEventListener('change', () => {
+        if (type === 'checkbox') {
+          saveSettings({ [key]: input.checked });
+        } else if (type === 'number') {
+          // Reject invalid input, including a delay range whose minimum is above its maximum
+          if (!isValidNumberSetting(key, input.valueAsNumber, getSettings())) {
+            input.value = String(getSettings()[key]);
+            return;
+          }
+          saveSettings({ [key]: input.valueAsNumber });
+        } else {
+          saveSettings({ [key]: input.value });
+        }
+      });
+      const text = document.createElement('span');
+      text.textContent = translate(labelKey);
+      row.append(text, input);
+      popover.appendChild(row);
+    });
+
+    // Language override (see `getActiveLocale`)
+    const languageRow = document.createElement('label');
+    languageRow.className = 'flex items-center justify-between gap-2';
+    const languageSelect = document.createElement('select');
+    languageSelect.name = 'bulk-delete-setting-locale';
+    languageSelect.className = 'h-7 px-1 rounded-md border border-slate-200 dark:border-white/10 bg-transparent';
+    languageSelect.innerHTML = `<option value="">${translate('languageAuto')}</option>` + Object.keys(LOCALES).map(code => `<option value="${code}">${code}</option>`).join('');
+    try {
+      languageSelect.value = localStorage.getItem(LOCALE_STORAGE_KEY) || '';
+    } catch (error) { /* Storage blocked; show Auto */ }
+    languageSelect.addEventListener('change', () => {
+      try {
+        if (languageSelect.value) {
+          localStorage.setItem(LOCALE_STORAGE_KEY, languageSelect.value);
+        } else {
+          localStorage.removeItem(LOCALE_STORAGE_KEY);
+        }
+      } catch (error) {
+        console.error('[BulkDelete] Could not save the language:', error);
+      }
+      activeLocale = null; // Resolve the new language
+      refreshLocalizedControls();
+    });
+    const languageText = document.createElement('span');
+    languageText.textContent = translate('language');
+    languageRow.append(languageText, languageSelect);
+    popover.appendChild(languageRow);
+
+    const actions = document.createElement('div');
+    actions.className = 'flex justify-end gap-1 pt-1';
+    actions.append(
+      createSelectionBarButton(translate('openAuditLog'), openAuditLogViewer),
+      createSelectionBarButton(translate('runDiagnostics'), openDiagnosticsDialog),
+      createSelectionBarButton(translate('resetDefaults'), () => {
+        saveSettings(DEFAULT_SETTINGS);
+        openSettingsPopover(anchor); // Rebuild with the default values
+      }),
+      createSelectionBarButton(translate('close'), closePopover),
+    );
+    popover.appendChild(actions);
+    popover.querySelector('input')?.focus();
+  }
+
+  /**
+   * Rebuilds the extension's controls after the language changed, so their texts follow
+   * it. Controls that show a running deletion are only relabelled once it is over.
+   */
+  function refreshLocalizedControls() {
+    const openedFromSelectionBar = Boolean(selectionToolbar?.contains(popoverAnchor));
+    if (!isBulkDeleting && !isChatDeleting) {
+      removeMessageControls();
+      if (undoButton) {
+        undoButton.remove();
+        undoButton = null;
+      }
+      if (chatBulkBar) {
+        chatBulkBar.remove();
+        chatBulkBar = null;
+      }
+      if (bulkDeleteEnabled) {
+        refreshMessageControls();
+        ensureChatBulkBarExists();
+      }
+      ensureUndoButtonExists();
+    }
+    updateBulkDeleteButtonUI();
+    updateChatDeleteButtonUI();
+    updateToggleButtonVisualState();
+    // Rebuild in the new language, next to the (rebuilt) button it was opened from
+    openSettingsPopover(openedFromSelectionBar ? selectionToolbar?.querySelector('[data-bulk-delete-settings]') : toggleButton);
+  }
+
+  /**
+   * Opens an empty popover (with a title) next to an anchor element, closing any other
+   * popover first. It is placed below the anchor, or above it if the anchor sits in the
+   * lower half of the window, and closes on Escape or a click outside it.
+   * @param {string} id The element ID.
+   * @param {string} title The title, also used as accessible name.
+   * @param {HTMLElement} anchor The element the popover belongs to.
+   * @returns {HTMLDivElement} The popover, already in the document; append its content to it.
+   */
+  function openPopover(id, title, anchor) {
+    closePopover();
+    activePopover = document.createElement('div');
+    activePopover.id = id;
+    activePopover.setAttribute('role', 'dialog');
+    activePopover.setAttribute('aria-label', title);
+    activePopover.className = 'fixed z-50 w-72 p-3 flex flex-col gap-2 rounded-lg border border-slate-200 dark:border-white/10 bg-white dark:bg-slate-900 shadow-lg text-xs text-slate-700 dark:text-slate-200';
+    const rect = anchor.getBoundingClientRect();
+    if (rect.top > window.innerHeight / 2) {
+      activePopover.style.bottom = `${window.innerHeight - rect.top + 4}px`;
+    } else {
+      activePopover.style.top = `${rect.bottom + 4}px`;
+    }
+    activePopover.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - 296))}px`;
+
+    const titleElement = document.createElement('div');
+    titleElement.className = 'font-semibold text-sm';
+    titleElement.textContent = title;
+    activePopover.appendChild(titleElement);
+
+    activePopover.addEventListener('keydown', event => {
+      if (event.key === 'Escape') {
+        event.stopPropagation();
+        closePopover();
+        anchor.focus();
+      }
+    });
+    popoverAnchor = anchor;
+    document.body.appendChild(activePopover);
+    document.addEventListener('mousedown', handlePopoverOutsideClick, true);
+    return activePopover;
+  }
+
+  /**
+   * Closes the open popover when the user clicks anywhere outside it (or its anchor).
+   * @param {MouseEvent} event The mousedown event object.
+   */
+  function handlePopoverOutsideClick(event) {
+    if (activePopover?.contains(event.target) || popoverAnchor?.contains(event.target)) return;
+    closePopover();
+  }
+
+  /**
+   * Removes the open popover, if any.
+   */
+  function closePopover() {
+    document.removeEventListener('mousedown', handlePopoverOutsideClick, true);
+    if (activePopover) {
+      activePopover.remove();
+      activePopover = null;
+      popoverAnchor = null;
     }
   }
 
@@ -499,107 +5507,264 @@
    * if it doesn't already exist or isn't connected.
    */
   function ensureToggleButtonExists() {
-    const wasDisconnected = (toggleButton && !toggleButton.isConnected);
     if (toggleButton?.isConnected) return; // Already exists and connected
 
     // Find the anchor point ("More actions" button)
-    const moreActionsDiv = document.querySelector('[data-element-id="chat-space-beginning-part"] [data-headlessui-state]');
+    const moreActionsDiv = document.querySelector(HEADER_ANCHOR_SELECTOR);
     if (moreActionsDiv?.parentNode) { // Ensure anchor and its parent exist
       // Create the button if it's the first time
       if (!toggleButton) {
         toggleButton = document.createElement('button');
         toggleButton.id = 'bulk-delete-toggle-button';
         // Add tooltip attributes
-    		toggleButton.setAttribute('data-tooltip-id', 'global');
-    		toggleButton.setAttribute('data-tooltip-content', 'Toggle Bulk Delete');
+    		toggleButton.setAttribute('data-tooltip-id', 'global'); // Content is set by updateToggleButtonVisualState
+        toggleButton.setAttribute('aria-keyshortcuts', TOGGLE_SHORTCUT);
         // Inner HTML includes SVG icon and accessible title
-        toggleButton.innerHTML = `<span class="relative block text-gray-400 hover:text-gray-500 dark:hover:text-white/80 hover:bg-black/5 dark:hover:bg-white/20 rounded-md p-1.5 transition-colors"><svg class="w-5 h-5 md:w-4 md:h-4 flex-shrink-0" viewBox="0 0 18 18" xmlns="http://www.w3.org/2000/svg" aria-hidden="true"><g fill="currentColor"><path d="m13.474,7.25l-.374,7.105c-.056,1.062-.934,1.895-1.997,1.895h-4.205c-1.064,0-1.941-.833-1.997-1.895l-.374-7.105" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5"></path><path d="m6.75,4.75v-2c0-.552.448-1,1-1h2.5c.552,0,1,.448,1,1v2" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5"></path><line fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5" x1="2.75" x2="15.25" y1="4.75" y2="4.75"></line></g></svg><title>Toggle Bulk Message Delete</title></span>`;
+        toggleButton.innerHTML = `<span class="relative block text-gray-400 hover:text-gray-500 dark:hover:text-white/80 hover:bg-black/5 dark:hover:bg-white/20 rounded-md p-1.5 transition-colors"><svg class="w-5 h-5 md:w-4 md:h-4 flex-shrink-0" viewBox="0 0 18 18" xmlns="http://www.w3.org/2000/svg" aria-hidden="true"><g fill="currentColor"><path d="m13.474,7.25l-.374,7.105c-.056,1.062-.934,1.895-1.997,1.895h-4.205c-1.064,0-1.941-.833-1.997-1.895l-.374-7.105" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5"></path><path d="m6.75,4.75v-2c0-.552.448-1,1-1h2.5c.552,0,1,.448,1,1v2" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5"></path><line fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5" x1="2.75" x2="15.25" y1="4.75" y2="4.75"></line></g></svg><title>${translate('toggleTitle')}</title></span>`;
         // Basic styling to make it look like other header buttons
         toggleButton.style.cssText = `background: none; border: none; cursor: pointer; margin-left: 4px; padding: 0; line-height: 0;`;
         toggleButton.addEventListener('click', toggleBulkDeleteMode);
+        toggleButton.addEventListener('contextmenu', toggleSettingsPopover);
+        toggleButton.setAttribute('aria-haspopup', 'dialog');
       }
       // Insert the toggle button after the "More actions" button
       moreActionsDiv.parentNode.insertBefore(toggleButton, moreActionsDiv);
-
-      // If the button was re-added after being disconnected, reset the mode state
-      if (wasDisconnected && bulkDeleteEnabled) {
-        bulkDeleteEnabled = false;
-        disableClickSelection();
-        selectedMessages.clear();
-      }
+      // A re-added button (header re-render) keeps the current mode and selections
       updateToggleButtonVisualState(); // Set initial visual state
     }
   }
 
   /**
-   * Debounced handler for MutationObserver callbacks. Ensures UI elements
-   * (toggle button, delete button, message listeners) are correctly
-   * present or removed based on the `bulkDeleteEnabled` state after DOM changes settle.
+   * MutationObserver callback. Only collects what changed: added and removed message
+   * blocks and added sidebar chat entries. Changes inside a message block (such as
+   * streamed tokens) and inside the extension's own elements are skipped without
+   * scheduling any work, unless the block's UUID is still unknown. The collected changes
+   * are handled by `processPendingMutations` once the DOM has been quiet for `DEBOUNCE_DELAY`.
    * @param {MutationRecord[]} mutationsList List of mutations observed.
    */
   const handleMutations = (mutationsList) => {
-    clearTimeout(debounceTimer); // Clear previous debounce timer
-    // Set a new timer to run the update logic after DEBOUNCE_DELAY
-    debounceTimer = setTimeout(() => {
-      ensureToggleButtonExists(); // Always ensure toggle button is present
-  
-      const mainContent = document.querySelector('main');
-      const isChatEmpty = !mainContent || mainContent.querySelector('[data-element-id="response-block"]') === null;
-  
-      if (isChatEmpty) {
-        // Reset bulk delete state if the chat is empty or context changes
-        if (bulkDeleteEnabled) {
-          toggleBulkDeleteMode(); // Disable bulk delete mode
+    let relevant = false;
+    for (const mutation of mutationsList) {
+      const target = mutation.target;
+      if (!(target instanceof Element)) continue;
+      const enclosingBlock = target.closest('[data-element-id="response-block"]');
+      if (enclosingBlock) {
+        // Retry blocks whose message data wasn't available when they were added
+        if (unresolvedBlocks.has(enclosingBlock)) {
+          pendingAddedBlocks.add(enclosingBlock);
+          relevant = true;
+        }
+        continue;
+      }
+      if (target.closest('[id^="bulk-delete-"]')) continue; // The extension's own elements
+      relevant = true; // Header, toolbar or chat list changes may need the buttons re-added
+      mutation.addedNodes.forEach(node => {
+        if (!(node instanceof Element)) return;
+        if (node.matches('[data-element-id="response-block"]')) {
+          pendingAddedBlocks.add(node);
+        } else {
+          node.querySelectorAll('[data-element-id="response-block"]').forEach(block => pendingAddedBlocks.add(block));
         }
-        selectedMessages.clear(); // Clear selected messages
-        if (bulkDeleteButton?.isConnected) {
-          bulkDeleteButton.remove(); // Remove the delete button
-          bulkDeleteButton = null;
+        if (node.matches(CHAT_ITEM_SELECTOR) || node.querySelector(CHAT_ITEM_SELECTOR)) pendingChatListChanged = true;
+      });
+      mutation.removedNodes.forEach(node => {
+        if (node instanceof Element && (node.matches('[data-element-id="response-block"]') || node.querySelector('[data-element-id="response-block"]'))) {
+          pendingBlocksRemoved = true;
         }
-      } else if (bulkDeleteEnabled) {
-        // If mode is enabled, ensure delete button exists and listeners are attached
-        ensureBulkDeleteButtonExists();
-        enableClickSelection(); // Re-applies listeners/styles to potentially new/changed messages
+      });
+    }
+    if (!relevant) return;
+    clearTimeout(debounceTimer); // Clear previous debounce timer
+    debounceTimer = setTimeout(processPendingMutations, DEBOUNCE_DELAY);
+  };
+
+  /**
+   * Brings the extension's UI in line with the DOM changes collected by `handleMutations`:
+   * re-adds the toggle, undo and message controls if TypingMind re-rendered them away,
+   * prepares added message blocks and adds checkboxes to new chat entries. Only when the
+   * open chat changed are all rendered messages re-scanned.
+   */
+  function processPendingMutations() {
+    const addedBlocks = pendingAddedBlocks;
+    const blocksRemoved = pendingBlocksRemoved;
+    const chatListChanged = pendingChatListChanged;
+    pendingAddedBlocks = new Set();
+    pendingBlocksRemoved = false;
+    pendingChatListChanged = false;
+
+    if (!toggleButton?.isConnected) ensureToggleButtonExists(); // Header was re-rendered
+    if (!undoButton?.isConnected) ensureUndoButtonExists(); // Show undo once the toolbar is (re)rendered
+    if (addedBlocks.size > 0) checkAutoPrune(); // Apply pruning rules if the chat has grown past their threshold
+
+    const mainContent = document.querySelector('main');
+    const isChatEmpty = !mainContent || mainContent.querySelector('[data-element-id="response-block"]') === null;
+
+    if (isChatEmpty) {
+      // The chat may only look empty while TypingMind switches chats: keep bulk mode and the
+      // selections (they are swapped per chat by syncSelectionWithCurrentChat), just hide the
+      // message controls until messages show up again
+      removeMessageControls();
+      if (bulkDeleteEnabled && chatListChanged) enableChatSelection(); // The chat list still works
+    } else if (bulkDeleteEnabled) {
+      if (getCurrentChatId() !== selectionChatId) {
+        enableClickSelection(); // Another chat: swap the selection and re-apply every highlight
       } else {
-        // If mode is disabled, ensure delete button is removed and listeners are detached
-        if (bulkDeleteButton?.isConnected) {
-          bulkDeleteButton.remove();
-          bulkDeleteButton = null;
-        }
-        removeMessageSelectionListeners();
+        const chatId = selectionChatId; // Same chat, checked above
+        addedBlocks.forEach(block => {
+          if (block.isConnected) enableMessageBlock(block, chatId);
+        });
+        refreshMessageControls();
       }
-    }, DEBOUNCE_DELAY);
-  };
+      ensureRunControlsExist(); // Keep pause/cancel next to the button during a run
+      if (chatListChanged) enableChatSelection(); // Checkboxes for new chat entries
+    } else {
+      // If mode is disabled, make sure the message controls are gone
+      removeMessageControls();
+    }
+    // Forget blocks that were removed before their UUID could be read
+    if (blocksRemoved) unresolvedBlocks.forEach(block => { if (!block.isConnected) unresolvedBlocks.delete(block); });
+  }
+
+  // --- Public API & Events ---
+  /**
+   * Dispatches a lifecycle event on `document` for other extensions, named
+   * `EVENT_PREFIX` + `name` (e.g. 'typingmind-bulk-delete:mode-changed').
+   * @param {string} name The event name without prefix.
+   * @param {Object} detail The event payload.
+   */
+  function dispatchBulkDeleteEvent(name, detail) {
+    document.dispatchEvent(new CustomEvent(EVENT_PREFIX + name, { detail }));
+  }
+
+  /**
+   * Dispatches 'selection-changed' if the message selection differs from the one last reported.
+   */
+  function dispatchSelectionChanged() {
+    const selection = Array.from(selectedMessages);
+    const selectionKey = `${selectionChatId}|${selection.slice().sort().join(',')}`;
+    if (selectionKey === lastDispatchedSelectionKey) return;
+    lastDispatchedSelectionKey = selectionKey;
+    dispatchBulkDeleteEvent('selection-changed', { chatId: selectionChatId, selection });
+  }
+
+  /**
+   * Selects or deselects messages on behalf of the public API, turning bulk delete mode on first if needed.
+   * @param {string|string[]|function(object, HTMLElement): boolean} target Message UUIDs, or a predicate
+   *     that receives the message data and block of every rendered message.
+   * @param {boolean} selected Whether the messages should be selected or deselected.
+   * @returns {string[]} The UUIDs selected afterwards.
+   */
+  function setSelectionFromApi(target, selected) {
+    if (isBulkDeleting) throw new Error('[BulkDelete] The selection is locked while a deletion is running.');
+    if (!bulkDeleteEnabled) toggleBulkDeleteMode();
+    if (isConfirmingBulkDelete) resetBulkDeleteConfirmation();
+    const chatId = getCurrentChatId();
+    if (typeof target === 'function') {
+      document.querySelectorAll('[data-element-id="response-block"]').forEach(block => {
+        const message = findMessageData(block).message;
+        if (message && target(message, block)) setMessageSelected(block, message.uuid, selected, chatId);
+      });
+    } else {
+      const blocksByUuid = getMessageBlocksByUuid();
+      [].concat(target).forEach(uuid => setMessageSelectedByUuid(uuid, selected, blocksByUuid, chatId));
+    }
+    updateBulkDeleteButtonUI();
+    return Array.from(selectedMessages);
+  }
+
+  /**
+   * Deletes the selected messages on behalf of the public API, without the 'Sure?' step.
+   * @returns {Promise<DeletionReport>} The per-message result (empty if nothing was selected).
+   */
+  async function deleteSelectedFromApi() {
+    if (isBulkDeleting || isChatDeleting) throw new Error('[BulkDelete] A deletion is already running.');
+    if (isRunningDiagnostics) throw new Error('[BulkDelete] Diagnostics are checking the menu flow; try again in a moment.');
+    if (isConfirmingBulkDelete) resetBulkDeleteConfirmation();
+    const selectedUuids = Array.from(selectedMessages);
+    if (selectedUuids.length === 0) {
+      return { chatId: getCurrentChatId(), method: null, cancelled: false, deleted: [], failed: [], skipped: [], protected: [] };
+    }
+    return runBulkDeletion(selectedUuids);
+  }
+
+  /**
+   * Exposes the public API as `window.TypingMindBulkDelete`.
+   */
+  function exposePublicApi() {
+    window.TypingMindBulkDelete = Object.freeze({
+      /** Turns bulk delete mode on. */
+      enable: () => { if (!bulkDeleteEnabled) toggleBulkDeleteMode(); },
+      /** Turns bulk delete mode off (clears every selection). */
+      disable: () => { if (bulkDeleteEnabled) toggleBulkDeleteMode(); },
+      /** @returns {boolean} Whether bulk delete mode is on. */
+      isEnabled: () => bulkDeleteEnabled,
+      /** Selects messages by UUID(s) or predicate; see `setSelectionFromApi`. */
+      select: target => setSelectionFromApi(target, true),
+      /** Deselects messages by UUID(s) or predicate; see `setSelectionFromApi`. */
+      deselect: target => setSelectionFromApi(target, false),
+      /** @returns {string[]} The UUIDs of the selected messages in the open chat. */
+      getSelection: () => Array.from(selectedMessages),
+      /** Deletes the selected messages; resolves with a `DeletionReport`. */
+      deleteSelected: deleteSelectedFromApi,
+      /** Protects messages of the open chat by UUID(s) from bulk deletion; returns false if the chat has no ID yet. */
+      protect: target => [].concat(target).every(uuid => setMessageProtected(uuid, true)),
+      /** Removes the protection from messages of the open chat by UUID(s). */
+      unprotect: target => [].concat(target).every(uuid => setMessageProtected(uuid, false)),
+      /** @returns {string[]} The UUIDs of the protected messages in the open chat. */
+      getProtected: () => Array.from(getProtectedMessages(getCurrentChatId())),
+      /** Checks the page without deleting anything; resolves with a `DiagnosticsReport`. */
+      runDiagnostics: () => runDiagnostics(true),
+    });
+  }
 
   // --- Initialization function ---
   /**
-   * Sets up the bulk delete functionality by ensuring the toggle button exists
-   * and starting the MutationObserver to watch for DOM changes.
+   * Sets up the bulk delete functionality by ensuring the toggle button exists,
+   * registering the delegated event listeners and starting the MutationObserver
+   * to watch for DOM changes.
    */
   function initializeBulkDelete() {
     ensureToggleButtonExists(); // Add the toggle button initially
+    document.addEventListener('keydown', handleKeyDown); // Toggle shortcut and keyboard selection
+    document.addEventListener('click', handleMessageClick); // Message selection (delegated)
+    document.addEventListener('pointerdown', handleMessagePointerDown); // Drag selection and long-press (delegated)
+    document.addEventListener('contextmenu', handleMessageContextMenu); // No native menu over a long-press
+    window.matchMedia?.(NARROW_VIEWPORT_QUERY).addEventListener?.('change', handleViewportChange); // Toolbar <-> bottom bar
+    ensureBulkDeleteStylesExist(); // Touch target sizes apply to the toggle button too
+    document.addEventListener('click', handleMessageMenuOpen, true); // "Delete everything after/before this" entries
+    resumeInterruptedUndoSnapshot(); // The page may have been reloaded in the middle of a run
+    ensureUndoButtonExists(); // Offer undo again if the page was reloaded during the undo window
+    showCarriedRunStatus(); // Result of a data store deletion that reloaded the page
+    verifyRestoredUndoSnapshot(); // Check an undo that reloaded the page
+    // TypingMind sets <html lang> to its UI language; texts follow it once it changes
+    new MutationObserver(() => { activeLocale = null; })
+      .observe(document.documentElement, { attributes: true, attributeFilter: ['lang'] });
 
-    const targetNode = document.querySelector('main'); // Target the main content area
     if (!observer) {
       // Create observer only once
       observer = new MutationObserver(handleMutations);
     }
-
-    if (targetNode) {
-      // Configuration for the observer (watch for additions/removals in the subtree)
-      const config = { childList: true, subtree: true };
-      try {
-        observer.disconnect(); // Disconnect previous observer instance if any
-        observer.observe(targetNode, config); // Start observing
-      } catch (error) {
-        console.error("[BulkDelete] Failed to start MutationObserver:", error);
-      }
-    } else {
-      console.warn("[BulkDelete] Could not find target node ('main') for MutationObserver.");
+    // Watch the whole body, so a replaced 'main' and the sidebar chat list (outside 'main')
+    // are picked up without re-attaching; handleMutations skips changes that don't matter
+    const config = { childList: true, subtree: true };
+    try {
+      observer.disconnect(); // Disconnect previous observer instance if any
+      observer.observe(document.body, config); // Start observing
+    } catch (error) {
+      console.error("[BulkDelete] Failed to start MutationObserver:", error);
     }
   }
 
   // --- Script Execution ---
+  // Under Node (the tests), export the data store helpers; there is no page to attach to
+  if (typeof module === 'object' && module.exports) {
+    module.exports = {
+      CHAT_DB_NAME, CHAT_DB_STORE, CHAT_KEY_PREFIX,
+      openChatDatabase, readChatRecord, updateChatRecord, deleteMessagesViaStore,
+    };
+    if (typeof document === 'undefined') return;
+  }
+  exposePublicApi(); // Available right away, even before the UI is ready
   // Wait for the DOM to be ready before initializing
   if (document.readyState === "complete" || document.readyState === "interactive") {
     initializeBulkDelete();
@@ -0,0 +1,109 @@
+'use strict';
+// Runs the data store backend against an in-memory IndexedDB (fake-indexeddb) and an
+// in-memory localStorage stand-in.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const {
+  CHAT_DB_NAME, CHAT_DB_STORE, CHAT_KEY_PREFIX,
+  readChatRecord, deleteMessagesViaStore,
+} = require('../bulkDeleteFunction.js');
+
+/** Minimal Web Storage stand-in. */
+class MemoryStorage {
+  constructor(entries = {}) { this.items = new Map(Object.entries(entries)); }
+  getItem(key) { return this.items.has(key) ? this.items.get(key) : null; }
+  setItem(key, value) { this.items.set(key, String(value)); }
+  removeItem(key) { this.items.delete(key); }
+}
+
+/**
+ * Creates TypingMind's database in a fresh in-memory IndexedDB, optionally with a chat record.
+ * @param {?object} record The chat record to store under its `CHAT_<id>` key, if any.
+ * @returns {Promise<IDBFactory>} The IndexedDB implementation holding the database.
+ */
+async function createChatDatabase(record = null) {
+  const idbFactory = new IDBFactory();
+  const db = await new Promise((resolve, reject) => {
+    const request = idbFactory.open(CHAT_DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(CHAT_DB_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  if (record) {
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(CHAT_DB_STORE, 'readwrite');
+      transaction.objectStore(CHAT_DB_STORE).put(record, CHAT_KEY_PREFIX + record.id);
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+  db.close();
+  return idbFactory;
+}
+
+/**
+ * Builds a chat record with one message per UUID.
+ * @param {string[]} uuids The message UUIDs.
+ * @returns {object} The chat record.
+ */
+function chatRecord(uuids) {
+  return {
+    id: 'c1',
+    updatedAt: '2024-01-01T00:00:00.000Z',
+    messages: uuids.map(uuid => ({ uuid, role: 'user', content: `text ${uuid}` })),
+  };
+}
+
+test('removes the messages from the IndexedDB record', async () => {
+  const idbFactory = await createChatDatabase(chatRecord(['u1', 'u2', 'u3']));
+  const storage = new MemoryStorage();
+
+  assert.equal(await deleteMessagesViaStore('c1', ['u1', 'u3'], idbFactory, storage), true);
+
+  const record = await readChatRecord('c1', idbFactory, storage);
+  assert.deepEqual(record.messages.map(message => message.uuid), ['u2']);
+  assert.notEqual(record.updatedAt, '2024-01-01T00:00:00.000Z');
+  assert.equal(storage.items.size, 0);
+});
+
+test('reports failure when the chat record is missing', async () => {
+  const idbFactory = await createChatDatabase();
+  const storage = new MemoryStorage();
+
+  assert.equal(await deleteMessagesViaStore('c1', ['u1'], idbFactory, storage), false);
+  assert.equal(await readChatRecord('c1', idbFactory, storage), null);
+});
+
+test('leaves the record untouched when a UUID is missing', async () => {
+  const idbFactory = await createChatDatabase(chatRecord(['u1', 'u2']));
+  // A stale localStorage copy that does list the UUID must not be used instead
+  const staleCopy = JSON.stringify(chatRecord(['u1', 'u2', 'missing']));
+  const storage = new MemoryStorage({ [CHAT_KEY_PREFIX + 'c1']: staleCopy });
+
+  assert.equal(await deleteMessagesViaStore('c1', ['u1', 'missing'], idbFactory, storage), false);
+
+  const record = await readChatRecord('c1', idbFactory, storage);
+  assert.deepEqual(record, chatRecord(['u1', 'u2']));
+  assert.equal(storage.getItem(CHAT_KEY_PREFIX + 'c1'), staleCopy);
+});
+
+test('falls back to the localStorage copy when IndexedDB has no record', async () => {
+  const idbFactory = await createChatDatabase();
+  const storage = new MemoryStorage({ [CHAT_KEY_PREFIX + 'c1']: JSON.stringify(chatRecord(['u1', 'u2'])) });
+
+  assert.equal(await deleteMessagesViaStore('c1', ['u2'], idbFactory, storage), true);
+
+  const stored = JSON.parse(storage.getItem(CHAT_KEY_PREFIX + 'c1'));
+  assert.deepEqual(stored.messages.map(message => message.uuid), ['u1']);
+  assert.deepEqual((await readChatRecord('c1', idbFactory, storage)).messages, stored.messages);
+});
+
+test('falls back to the localStorage copy when the database does not exist', async () => {
+  const idbFactory = new IDBFactory();
+  const storage = new MemoryStorage({ [CHAT_KEY_PREFIX + 'c1']: JSON.stringify(chatRecord(['u1', 'u2'])) });
+
+  assert.equal(await deleteMessagesViaStore('c1', ['u1'], idbFactory, storage), true);
+
+  assert.deepEqual(JSON.parse(storage.getItem(CHAT_KEY_PREFIX + 'c1')).messages.map(message => message.uuid), ['u2']);
+});